@@ -1,23 +1,44 @@
 import jwt from "jsonwebtoken";
 import Employee from "../models/employee.js";
+import Member from "../models/member.js";
+import { getRolePermissions, hasPermission } from "../Utils/permissions.js";
 
 const protect = async (req, res, next) => {
   let token;
+  let decoded;
 
   if (req.headers.authorization?.startsWith("Bearer")) {
     try {
       token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Member portal tokens never grant staff access
+      if (decoded.scope === 'member') throw new Error('Member token');
       req.employee = await Employee.findById(decoded.id)
         .select("-password")
         .populate('branch_id', 'branch_id bname');
-      return next();  // Added return here
     } catch (error) {
       return res.status(401).json({  // Added return here
         success: false,
         message: "Not authorized, token failed" 
       });
     }
+
+    // Tokens die with role changes, deactivation and revoked sessions
+    if (!req.employee || (decoded.tv || 0) !== (req.employee.token_version || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized, token revoked"
+      });
+    }
+
+    if (req.employee.status !== 'Active') {
+      return res.status(401).json({
+        success: false,
+        message: "Account is inactive"
+      });
+    }
+
+    return next();
   }
 
   if (!token) {
@@ -28,44 +49,60 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Admin middleware
-const admin = (req, res, next) => {
-  if (req.employee?.role === "Admin") {
-    next();
-  } else {
-    res.status(403).json({ 
+// Member portal middleware
+const protectMember = async (req, res, next) => {
+  if (!req.headers.authorization?.startsWith("Bearer")) {
+    return res.status(401).json({
       success: false,
-      message: "Not authorized as admin" 
+      message: "Not authorized, no token"
     });
   }
-};
 
-// Manager middleware
-const manager = (req, res, next) => {
-  if (req.employee?.role === "Manager" || req.employee?.role === "Admin") {
-    next();
-  } else {
-    res.status(403).json({ 
+  try {
+    const token = req.headers.authorization.split(" ")[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.scope !== 'member') throw new Error('Not a member token');
+
+    req.member = await Member.findById(decoded.id);
+    if (!req.member || !req.member.active) throw new Error('Member inactive');
+
+    return next();
+  } catch (error) {
+    return res.status(401).json({
       success: false,
-      message: "Not authorized as manager" 
+      message: "Not authorized, token failed"
     });
   }
 };
 
-// Employee middleware (basic access)
-const employee = (req, res, next) => {
-  if (req.employee?.role === "Employee" || 
-      req.employee?.role === "Manager" || 
-      req.employee?.role === "Admin") {
-    next();
-  } else {
-    res.status(403).json({ 
+// Permission middleware, e.g. requirePermission('payout:process').
+// The role-to-permission mapping lives in the roles collection.
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const granted = await getRolePermissions(req.employee?.role);
+    const missing = permissions.filter(p => !hasPermission(granted, p));
+
+    if (missing.length === 0) return next();
+
+    return res.status(403).json({
+      success: false,
+      message: `Not authorized, requires ${missing.join(', ')}`
+    });
+  } catch (error) {
+    return res.status(500).json({
       success: false,
-      message: "Not authorized" 
+      message: error.message
     });
   }
 };
 
+// Like requirePermission, but an employee acting on their own record
+// (req.params.id) only needs `selfPermission`
+const requirePermissionOrSelf = (permission, selfPermission) => (req, res, next) => {
+  const isSelf = Boolean(req.employee?._id.equals(String(req.params.id)));
+  return requirePermission(isSelf ? selfPermission : permission)(req, res, next);
+};
+
 // Branch-specific access
 const sameBranchOrAdmin = (req, res, next) => {
   if (req.employee.role === "Admin" || 
@@ -79,4 +116,4 @@ const sameBranchOrAdmin = (req, res, next) => {
   }
 };
 
-export { protect, admin, manager, employee, sameBranchOrAdmin };
\ No newline at end of file
+export { protect, protectMember, requirePermission, requirePermissionOrSelf, sameBranchOrAdmin };
\ No newline at end of file
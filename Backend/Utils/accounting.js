@@ -0,0 +1,219 @@
+// utils/accounting.js
+import Account from '../models/account.js';
+import Ledger from '../models/ledger.js';
+import Transaction from '../models/transaction.js';
+
+const CASH = '1000';
+const BANK = '1010';
+const PAYOUT_PAYABLE = '2000';
+const MEMBER_DEPOSITS = '2100';
+const SUSPENSE = '2900';
+const COMMISSION_INCOME = '4000';
+const PENALTY_INCOME = '4100';
+
+// Cash payments hit the till, everything else the bank
+const cashOrBank = (transaction) => (transaction.payment_mode === 'Cash' ? CASH : BANK);
+
+// Debit/credit account per transaction type. `member` marks which side
+// carries the member_id so it shows up on the member's ledger.
+const POSTING_RULES = {
+  Installment: { debit: cashOrBank, credit: () => PAYOUT_PAYABLE, member: 'credit' },
+  Auction: { debit: () => PAYOUT_PAYABLE, credit: cashOrBank, member: 'debit' },
+  Commission: { debit: () => PAYOUT_PAYABLE, credit: () => COMMISSION_INCOME },
+  Penalty: { debit: cashOrBank, credit: () => PENALTY_INCOME },
+  Deposit: { debit: cashOrBank, credit: () => MEMBER_DEPOSITS, member: 'credit' },
+  Withdrawal: { debit: () => MEMBER_DEPOSITS, credit: cashOrBank, member: 'debit' },
+  Other: { debit: cashOrBank, credit: () => SUSPENSE }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+let accountCache = null;
+
+// Resolve account codes to ids, seeding the default chart on first use
+export const getAccountsByCode = async () => {
+  if (accountCache) return accountCache;
+
+  await Account.ensureDefaults();
+  const accounts = await Account.find({ active: true });
+  accountCache = new Map(accounts.map(a => [a.code, a]));
+  return accountCache;
+};
+
+export const clearAccountCache = () => {
+  accountCache = null;
+};
+
+// Default two-line journal for a transaction, from the posting rules
+export const buildJournalLines = (transaction) => {
+  const rule = POSTING_RULES[transaction.transaction_type];
+  if (!rule) throw new Error(`No posting rule for ${transaction.transaction_type} transactions`);
+
+  const amount = round2(Math.abs(transaction.amount));
+
+  return [
+    {
+      account_code: rule.debit(transaction),
+      member_id: rule.member === 'debit' ? transaction.member_id : undefined,
+      debit: amount,
+      credit: 0
+    },
+    {
+      account_code: rule.credit(transaction),
+      member_id: rule.member === 'credit' ? transaction.member_id : undefined,
+      debit: 0,
+      credit: amount
+    }
+  ];
+};
+
+export const assertBalanced = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error('A journal needs at least two lines');
+  }
+
+  const totalDebit = round2(lines.reduce((sum, l) => sum + (Number(l.debit) || 0), 0));
+  const totalCredit = round2(lines.reduce((sum, l) => sum + (Number(l.credit) || 0), 0));
+
+  if (totalDebit <= 0 || totalDebit !== totalCredit) {
+    throw new Error(`Journal is not balanced: debits ${totalDebit}, credits ${totalCredit}`);
+  }
+};
+
+// Post the journal for a transaction. Lines default to the posting rules;
+// pass `lines` ({ account_code, member_id, debit, credit }) for manual journals.
+export const postTransaction = async (transaction, { lines, description, reference, session } = {}) => {
+  const existing = await Ledger.exists({ transaction_id: transaction._id }).session(session || null);
+  if (existing) throw new Error(`Transaction ${transaction.transaction_id} is already posted`);
+
+  const journal = lines || buildJournalLines(transaction);
+  assertBalanced(journal);
+
+  const accounts = await getAccountsByCode();
+  const docs = journal.map(line => {
+    const account = accounts.get(line.account_code);
+    if (!account) throw new Error(`Account ${line.account_code} not found`);
+
+    return {
+      branch_id: transaction.branch_id,
+      account_id: account._id,
+      member_id: line.member_id,
+      group_id: transaction.group_id,
+      transaction_id: transaction._id,
+      date: transaction.transaction_date || new Date(),
+      debit: Number(line.debit) || 0,
+      credit: Number(line.credit) || 0,
+      description: description || transaction.description || `${transaction.transaction_type} ${transaction.transaction_id}`,
+      reference: reference || transaction.transaction_id
+    };
+  });
+
+  // Ordered so ledger_ids are generated one after another
+  return Ledger.create(docs, { session, ordered: true });
+};
+
+// Ledger rows written before the double-entry journal have no account_id:
+// they are the member's side of a transaction only. Give each the member-side
+// account from the posting rules and post the missing cash/bank line, so the
+// trial balance includes them and still balances.
+export const migrateLegacyLedger = async () => {
+  const legacy = await Ledger.collection.find({ account_id: { $exists: false } }).toArray();
+  if (legacy.length === 0) return 0;
+
+  const accounts = await getAccountsByCode();
+  const accountId = (code) => {
+    const account = accounts.get(code);
+    if (!account) throw new Error(`Account ${code} not found`);
+    return account._id;
+  };
+
+  const transactions = await Transaction.find({ _id: { $in: legacy.map(l => l.transaction_id) } });
+  const byId = new Map(transactions.map(t => [String(t._id), t]));
+
+  for (const line of legacy) {
+    const transaction = byId.get(String(line.transaction_id));
+    const rule = transaction && POSTING_RULES[transaction.transaction_type];
+    const memberAccount = rule?.member ? rule[rule.member](transaction) : SUSPENSE;
+    const counterAccount = transaction ? cashOrBank(transaction) : CASH;
+    const net = round2((line.credit || 0) - (line.debit || 0));
+
+    await Ledger.collection.updateOne(
+      { _id: line._id },
+      { $set: { account_id: accountId(memberAccount) } }
+    );
+
+    if (net === 0) continue;
+
+    await Ledger.create({
+      branch_id: line.branch_id,
+      account_id: accountId(counterAccount),
+      group_id: line.group_id,
+      transaction_id: line.transaction_id,
+      date: line.date,
+      debit: net > 0 ? net : 0,
+      credit: net < 0 ? -net : 0,
+      description: `Counter entry for ${line.ledger_id || 'legacy ledger line'}`,
+      reference: line.reference
+    });
+  }
+
+  return legacy.length;
+};
+
+// Post the mirror image of the original transaction's journal
+export const postReversal = async (original, reversal, { session } = {}) => {
+  const originalLines = await Ledger.find({ transaction_id: original._id }).session(session || null);
+  if (originalLines.length === 0) return [];
+
+  const docs = originalLines.map(line => ({
+    branch_id: line.branch_id,
+    account_id: line.account_id,
+    member_id: line.member_id,
+    group_id: line.group_id,
+    transaction_id: reversal._id,
+    date: reversal.transaction_date || new Date(),
+    debit: line.credit,
+    credit: line.debit,
+    description: `Reversal of ${original.transaction_id}`,
+    reference: reversal.transaction_id
+  }));
+
+  return Ledger.create(docs, { session, ordered: true });
+};
+
+// Record the offsetting transaction, mirror its journal and mark the original reversed.
+// This is the only way a completed transaction is corrected.
+export const recordReversal = async (original, { recordedBy, description, session } = {}) => {
+  if (original.status === 'Reversed' || original.is_reversal) {
+    throw new Error(original.is_reversal
+      ? 'A reversal cannot itself be reversed'
+      : 'Transaction already reversed');
+  }
+  if (original.status !== 'Completed') {
+    throw new Error(`Only completed transactions can be reversed, this one is ${original.status}`);
+  }
+
+  const [reversal] = await Transaction.create([{
+    branch_id: original.branch_id,
+    member_id: original.member_id,
+    group_id: original.group_id,
+    transaction_type: original.transaction_type,
+    amount: -original.amount,
+    payment_mode: original.payment_mode,
+    reference_id: original.reference_id,
+    recorded_by: recordedBy,
+    status: 'Completed',
+    description: description || `Reversal of ${original.transaction_id}`,
+    related_transaction: original._id,
+    is_reversal: true
+  }], { session });
+
+  // Mirror the original journal so the books net to zero
+  const ledgerEntries = await postReversal(original, reversal, { session });
+
+  original.status = 'Reversed';
+  original.related_transaction = reversal._id;
+  await original.save({ session });
+
+  return { original, reversal, ledger_entries: ledgerEntries };
+};
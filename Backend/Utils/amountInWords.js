@@ -0,0 +1,47 @@
+// utils/amountInWords.js
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Below one thousand
+const hundreds = (n) => {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} Hundred`);
+    n %= 100;
+  }
+  if (n >= 20) {
+    words.push(TENS[Math.floor(n / 10)] + (n % 10 ? ` ${ONES[n % 10]}` : ''));
+  } else if (n > 0) {
+    words.push(ONES[n]);
+  }
+  return words.join(' ');
+};
+
+// Indian grouping: crore, lakh, thousand
+export const numberToWords = (value) => {
+  let n = Math.floor(Math.abs(value));
+  if (n === 0) return 'Zero';
+
+  const words = [];
+  const crore = Math.floor(n / 10000000);
+  n %= 10000000;
+  if (crore) words.push(`${numberToWords(crore)} Crore`);
+
+  [[100000, 'Lakh'], [1000, 'Thousand']].forEach(([size, name]) => {
+    const count = Math.floor(n / size);
+    n %= size;
+    if (count) words.push(`${hundreds(count)} ${name}`);
+  });
+
+  if (n) words.push(hundreds(n));
+  return words.join(' ');
+};
+
+// 12500.5 -> "Rupees Twelve Thousand Five Hundred and Fifty Paise Only"
+export const amountInWords = (amount) => {
+  const paise = Math.round(Math.abs(amount) * 100) % 100;
+  const rupees = numberToWords(Math.floor(Math.round(Math.abs(amount) * 100) / 100));
+  const sign = amount < 0 ? 'Minus ' : '';
+  return `${sign}Rupees ${rupees}${paise ? ` and ${numberToWords(paise)} Paise` : ''} Only`;
+};
@@ -0,0 +1,146 @@
+// utils/audit.js
+// Must be imported before any model so the plugin reaches every schema.
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import AuditLog from '../models/auditLog.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Bookkeeping collections that would only add noise (or secrets)
+const SKIPPED_MODELS = ['AuditLog', 'RefreshToken', 'Job', 'JobRun', 'Counter'];
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', '__v'];
+const REDACTED_FIELDS = ['password', 'token_hash'];
+
+const requestContext = new AsyncLocalStorage();
+
+// Express middleware: make the request visible to model hooks
+export const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+const currentRequest = () => {
+  const req = requestContext.getStore()?.req;
+  return req && MUTATING_METHODS.includes(req.method) ? req : null;
+};
+
+// Embedded documents are covered by their parent's entry
+const shouldAudit = (modelName) => Boolean(modelName) && !SKIPPED_MODELS.includes(modelName) && currentRequest();
+
+// Top-level fields whose value changed, with secrets masked
+export const diffDocuments = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => (REDACTED_FIELDS.includes(field)
+      ? { field, before: before?.[field] && '[redacted]', after: after?.[field] && '[redacted]' }
+      : { field, before: before?.[field], after: after?.[field] }));
+};
+
+const entityRef = (modelName, doc) => {
+  const ref = doc?.[`${modelName.toLowerCase()}_id`] ?? doc?.emp_id ?? doc?.code ?? doc?.name;
+  return typeof ref === 'string' ? ref : undefined;
+};
+
+const writeLogs = async (modelName, entries, session) => {
+  const req = currentRequest();
+  if (!req) return;
+
+  const docs = entries
+    .map(({ action, before, after }) => ({
+      action,
+      entity: modelName,
+      entity_id: (after || before)._id,
+      entity_ref: entityRef(modelName, after || before),
+      changes: diffDocuments(before, after),
+      actor_type: req.employee ? 'Employee' : req.member ? 'Member' : 'Anonymous',
+      employee_id: req.employee?._id,
+      member_id: req.member?._id,
+      method: req.method,
+      route: req.originalUrl,
+      ip: req.ip,
+      user_agent: req.get('user-agent')
+    }))
+    .filter(doc => doc.action !== 'Update' || doc.changes.length > 0);
+
+  if (docs.length > 0) {
+    await AuditLog.create(docs, { session, ordered: true });
+  }
+};
+
+const plain = (doc) => (doc?.toObject ? doc.toObject({ depopulate: true }) : doc);
+
+const auditPlugin = (schema) => {
+  // Remember how loaded documents looked so later saves can be diffed
+  schema.post('init', function () {
+    if (!this.$isSubdocument && shouldAudit(this.constructor.modelName)) {
+      this.$locals.auditOriginal = plain(this);
+    }
+  });
+
+  schema.pre('save', function () {
+    this.$locals.auditAction = this.isNew ? 'Create' : 'Update';
+  });
+
+  schema.post('save', async function (doc) {
+    const modelName = doc.constructor.modelName;
+    if (doc.$isSubdocument || !shouldAudit(modelName)) return;
+
+    const after = plain(doc);
+    const before = doc.$locals.auditAction === 'Create' ? null : doc.$locals.auditOriginal;
+    await writeLogs(modelName, [{ action: doc.$locals.auditAction, before, after }], doc.$session());
+    doc.$locals.auditOriginal = after;
+  });
+
+  schema.post('insertMany', async function (docs) {
+    if (!shouldAudit(this.modelName)) return;
+    await writeLogs(this.modelName, docs.map(doc => ({ action: 'Create', before: null, after: plain(doc) })));
+  });
+
+  // Query updates and deletes: snapshot the matched documents first
+  const snapshot = async function () {
+    if (!shouldAudit(this.model.modelName)) return;
+
+    const { session, sort } = this.getOptions();
+    const query = this.model.find(this.getFilter()).session(session || null).lean();
+
+    // Single-document ops touch the first match, in the op's own order
+    if (!['updateMany', 'deleteMany'].includes(this.op)) {
+      if (sort) query.sort(sort);
+      query.limit(1);
+    }
+    this._auditBefore = await query;
+  };
+
+  const recordUpdate = async function () {
+    if (!this._auditBefore?.length) return;
+
+    const after = await this.model.find({ _id: { $in: this._auditBefore.map(d => d._id) } })
+      .session(this.getOptions().session || null)
+      .lean();
+    const afterById = new Map(after.map(d => [String(d._id), d]));
+
+    await writeLogs(this.model.modelName, this._auditBefore.map(before => ({
+      action: 'Update',
+      before,
+      after: afterById.get(String(before._id))
+    })), this.getOptions().session);
+  };
+
+  const recordDelete = async function () {
+    if (!this._auditBefore?.length) return;
+
+    await writeLogs(this.model.modelName, this._auditBefore.map(before => ({
+      action: 'Delete',
+      before,
+      after: null
+    })), this.getOptions().session);
+  };
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], snapshot);
+  schema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], recordUpdate);
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], snapshot);
+  schema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], recordDelete);
+};
+
+mongoose.plugin(auditPlugin);
@@ -0,0 +1,46 @@
+// utils/branchScope.js
+import mongoose from 'mongoose';
+import Group from '../models/group.js';
+import { getRolePermissions, hasPermission } from './permissions.js';
+import { getDescendantIds } from './branchTree.js';
+
+// Branch ids the request may touch, or null when unrestricted. Member
+// portal and system calls have no employee and are scoped elsewhere.
+export const getBranchScope = async (req) => {
+  if (req.branchScope !== undefined) return req.branchScope;
+
+  const employee = req.employee;
+  if (!employee || hasPermission(await getRolePermissions(employee.role), 'branch:all')) {
+    req.branchScope = null;
+    return null;
+  }
+
+  const ownBranch = employee.branch_id?._id || employee.branch_id;
+  req.branchScope = process.env.BRANCH_SCOPE_INCLUDE_CHILDREN === 'false'
+    ? [ownBranch]
+    : await getDescendantIds(ownBranch);
+
+  return req.branchScope;
+};
+
+// Restrict a query on a model that carries branch_id
+export const scopeByBranch = async (req, filter = {}, field = 'branch_id') => {
+  const branches = await getBranchScope(req);
+  if (!branches) return filter;
+  return { $and: [filter, { [field]: { $in: branches } }] };
+};
+
+// Restrict a query on a model that only knows its group
+export const scopeByGroup = async (req, filter = {}, field = 'group_id') => {
+  const branches = await getBranchScope(req);
+  if (!branches) return filter;
+  const groups = await Group.find({ branch_id: { $in: branches } }).distinct('_id');
+  return { $and: [filter, { [field]: { $in: groups } }] };
+};
+
+export const isBranchInScope = async (req, branchId) => {
+  const branches = await getBranchScope(req);
+  if (!branches) return true;
+  if (!mongoose.Types.ObjectId.isValid(branchId)) return false;
+  return branches.some(id => id.equals(branchId));
+};
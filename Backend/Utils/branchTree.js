@@ -0,0 +1,176 @@
+// utils/branchTree.js
+import mongoose from 'mongoose';
+import Branch, { BRANCH_LEVELS } from '../models/branch.js';
+
+const levelRank = (level) => BRANCH_LEVELS.indexOf(level || 'Branch');
+
+// Accepts a Mongo _id or a branch code like BRN001
+export const findBranch = async (ref) => {
+  if (!ref) return null;
+  if (mongoose.Types.ObjectId.isValid(ref)) {
+    const branch = await Branch.findById(ref);
+    if (branch) return branch;
+  }
+  return Branch.findOne({ branch_id: ref });
+};
+
+// The node itself plus everything below it
+export const getSubtree = async (root) => {
+  const descendants = await Branch.find({ ancestors: root._id });
+  return [root, ...descendants];
+};
+
+export const getDescendantIds = async (rootId) => {
+  const ids = await Branch.find({ ancestors: rootId }).distinct('_id');
+  return [new mongoose.Types.ObjectId(String(rootId)), ...ids];
+};
+
+// Throws if `parent` cannot hold a node of `level`, or would create a cycle
+export const validatePlacement = async (branch, parent, level) => {
+  level = level || branch?.level || 'Branch';
+
+  if (!parent) {
+    if (level !== BRANCH_LEVELS[0]) throw new Error(`A ${level} must have a parent branch`);
+  } else {
+    if (branch && (parent._id.equals(branch._id) || parent.ancestors.some(id => id.equals(branch._id)))) {
+      throw new Error('A branch cannot be moved under itself or its descendants');
+    }
+    if (levelRank(parent.level) >= levelRank(level)) {
+      throw new Error(`A ${level} cannot be placed under a ${parent.level}`);
+    }
+  }
+
+  // Children must stay below the node
+  if (branch?._id) {
+    const children = await Branch.find({ parent_id: branch._id }).select('level');
+    if (children.some(child => levelRank(child.level) <= levelRank(level))) {
+      throw new Error(`A ${level} cannot hold its current children`);
+    }
+  }
+};
+
+// Re-parent a branch and rewrite the ancestor path of its whole subtree
+export const reparentBranch = async (branch, parent) => {
+  const oldPath = [...branch.ancestors, branch._id];
+  const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+  const newPath = [...newAncestors, branch._id];
+
+  branch.parent_id = parent ? parent._id : null;
+  branch.ancestors = newAncestors;
+  await branch.save();
+
+  const descendants = await Branch.find({ ancestors: branch._id });
+  if (descendants.length > 0) {
+    await Branch.bulkWrite(descendants.map(d => ({
+      updateOne: {
+        filter: { _id: d._id },
+        update: { $set: { ancestors: [...newPath, ...d.ancestors.slice(oldPath.length)] } }
+      }
+    })));
+  }
+
+  return branch;
+};
+
+// Nest a flat list of branches under their parents
+export const buildTree = (branches, rootId = null) => {
+  const byParent = new Map();
+  branches.forEach(branch => {
+    const key = branch.parent_id ? String(branch.parent_id) : 'root';
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(branch);
+  });
+
+  const attach = (branch) => ({
+    ...branch.toObject(),
+    children: (byParent.get(String(branch._id)) || []).map(attach)
+  });
+
+  if (rootId) {
+    const root = branches.find(b => b._id.equals(rootId));
+    return root ? [attach(root)] : [];
+  }
+  return (byParent.get('root') || []).map(attach);
+};
+
+// Give each node its own figures plus the sum over its descendants.
+// `rows` are aggregate results grouped by branch ObjectId.
+export const rollUpTotals = (branches, rows, fields) => {
+  const own = new Map(rows.map(row => [String(row._id), row]));
+  const pick = (row) => Object.fromEntries(fields.map(f => [f, row?.[f] || 0]));
+  const round2 = (value) => Math.round(value * 100) / 100;
+
+  return branches.map(branch => {
+    const rollup = Object.fromEntries(fields.map(f => [f, 0]));
+    branches
+      .filter(b => b._id.equals(branch._id) || b.ancestors.some(id => id.equals(branch._id)))
+      .forEach(b => {
+        const figures = pick(own.get(String(b._id)));
+        fields.forEach(f => { rollup[f] = round2(rollup[f] + figures[f]); });
+      });
+
+    return {
+      _id: branch._id,
+      branch_id: branch.branch_id,
+      bname: branch.bname,
+      level: branch.level,
+      parent_id: branch.parent_id,
+      own: pick(own.get(String(branch._id))),
+      rollup
+    };
+  });
+};
+
+// Older records stored parent_id as free text (a branch code or "0").
+// Point them at real branches and rebuild every ancestor path.
+export const migrateLegacyParents = async () => {
+  const legacy = await Branch.collection.find({ parent_id: { $type: 'string' } }).toArray();
+  if (legacy.length === 0) return 0;
+
+  const all = await Branch.collection.find({}, { projection: { branch_id: 1 } }).toArray();
+  const byCode = new Map(all.map(b => [b.branch_id, b._id]));
+  const byId = new Map(all.map(b => [String(b._id), b._id]));
+
+  await Branch.collection.bulkWrite(legacy.map(b => {
+    let parent = byCode.get(b.parent_id) || byId.get(b.parent_id) || null;
+    if (parent && parent.equals(b._id)) parent = null;
+    return { updateOne: { filter: { _id: b._id }, update: { $set: { parent_id: parent } } } };
+  }));
+
+  // Walk each node up to the root, stopping at cycles left over from free text
+  const nodes = await Branch.collection.find({}, { projection: { parent_id: 1 } }).toArray();
+  const parentOf = new Map(nodes.map(n => [String(n._id), n.parent_id ? String(n.parent_id) : null]));
+
+  await Branch.collection.bulkWrite(nodes.map(node => {
+    const ancestors = [];
+    let current = parentOf.get(String(node._id));
+    while (current && current !== String(node._id) && !ancestors.some(id => String(id) === current)) {
+      ancestors.unshift(new mongoose.Types.ObjectId(current));
+      current = parentOf.get(current);
+    }
+    return { updateOne: { filter: { _id: node._id }, update: { $set: { ancestors } } } };
+  }));
+
+  return legacy.length;
+};
+
+// Branches from before levels existed have none stored, so they read as the
+// default 'Branch'. Give each one from its place in the tree: roots are head
+// offices, nodes with children regions and the rest branches.
+export const migrateLegacyLevels = async () => {
+  const unlevelled = await Branch.collection
+    .find({ level: { $exists: false } }, { projection: { ancestors: 1 } })
+    .toArray();
+  if (unlevelled.length === 0) return 0;
+
+  const parents = new Set((await Branch.collection.distinct('parent_id', { parent_id: { $ne: null } })).map(String));
+
+  await Branch.collection.bulkWrite(unlevelled.map(node => {
+    let level = BRANCH_LEVELS[BRANCH_LEVELS.length - 1];
+    if (!node.ancestors?.length) level = BRANCH_LEVELS[0];
+    else if (parents.has(String(node._id))) level = BRANCH_LEVELS[1];
+    return { updateOne: { filter: { _id: node._id }, update: { $set: { level } } } };
+  }));
+
+  return unlevelled.length;
+};
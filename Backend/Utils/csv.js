@@ -0,0 +1,66 @@
+// utils/csv.js
+// Text that a spreadsheet would run as a formula (member names and addresses
+// are user input) is prefixed with a quote so it opens as plain text.
+// Numbers and dates are left alone.
+export const neutralizeFormula = (value) =>
+  (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// Quote a cell when it holds a delimiter, quote or line break
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(neutralizeFormula(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, terminated
+export const toCsvLine = (cells) => `${cells.map(escapeCell).join(',')}\r\n`;
+
+// `columns` is [{ header, value: row => cell }]
+export const toCsv = (columns, rows) => [
+  toCsvLine(columns.map(c => c.header)),
+  ...rows.map(row => toCsvLine(columns.map(c => c.value(row))))
+].join('');
+
+// Rows of cells from CSV text; handles quoted cells, escaped quotes and CRLF
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
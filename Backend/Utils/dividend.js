@@ -0,0 +1,113 @@
+// utils/dividend.js
+import Dividend from '../models/dividend.js';
+import Installment from '../models/installment.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Foreman commission is a percentage of the chit amount. The pool is split in
+// whole paise; `remainder` is what is left over after an even split.
+export const calculateDividend = (scheme, discount, memberCount) => {
+  const commission = round2(scheme.chit_amount * ((scheme.commission_rate || 0) / 100));
+  const pool = Math.max(0, round2(discount - commission));
+  const poolPaise = Math.round(pool * 100);
+  const perMemberPaise = memberCount > 0 ? Math.floor(poolPaise / memberCount) : 0;
+
+  return {
+    commission,
+    pool,
+    perMember: perMemberPaise / 100,
+    remainder: memberCount > 0 ? (poolPaise - perMemberPaise * memberCount) / 100 : 0
+  };
+};
+
+// Deduct a member's pending dividends, oldest first, from an installment due
+// after the auction month. A dividend larger than what is left of the
+// installment is split and the rest stays Pending for the next one.
+export const applyPendingDividends = async (installment, { session } = {}) => {
+  if (installment.paid_amount > 0 || installment.status === 'Paid') return installment;
+
+  const dividends = await Dividend.find({
+    group_id: installment.group_id,
+    member_id: installment.member_id,
+    status: 'Pending',
+    month_number: { $lt: installment.installment_number }
+  }).sort({ month_number: 1, createdAt: 1 }).session(session || null);
+
+  let deduction = 0;
+  for (const dividend of dividends) {
+    const room = round2(installment.amount - deduction);
+    if (room <= 0) break;
+
+    if (dividend.amount > room) {
+      // Sequential so the pre-save hook hands out distinct dividend_ids
+      await Dividend.create([{
+        auction_id: dividend.auction_id,
+        group_id: dividend.group_id,
+        member_id: dividend.member_id,
+        month_number: dividend.month_number,
+        amount: round2(dividend.amount - room)
+      }], { session });
+      dividend.amount = room;
+    }
+
+    dividend.status = 'Applied';
+    dividend.installment_id = installment._id;
+    dividend.applied_at = new Date();
+    await dividend.save({ session });
+    deduction = round2(deduction + dividend.amount);
+  }
+
+  if (deduction === 0) return installment;
+
+  installment.amount = round2(installment.amount - deduction);
+  installment.dividend_amount = round2((installment.dividend_amount || 0) + deduction);
+  await installment.save({ session });
+
+  return installment;
+};
+
+// Split a closed auction's discount (less commission) across every group member.
+// Paise left over from the even split go to the first ticket in the group, so
+// the dividends always add up to the pool. Pass the closing session so the
+// dividends are written with the auction close or not at all.
+export const distributeDividend = async (auction, group, scheme, { session } = {}) => {
+  const { commission, pool, perMember, remainder } = calculateDividend(
+    scheme,
+    auction.winning_discount,
+    group.members.length
+  );
+
+  if (pool <= 0) return { commission, pool, perMember, remainder, dividends: [] };
+
+  const dividends = [];
+  for (const [index, slot] of group.members.entries()) {
+    const amount = index === 0 ? round2(perMember + remainder) : perMember;
+    if (amount <= 0) continue;
+
+    // Sequential so the pre-save hook hands out distinct dividend_ids
+    const [dividend] = await Dividend.create([{
+      auction_id: auction._id,
+      group_id: group._id,
+      member_id: slot.member_id,
+      month_number: auction.month_number,
+      amount
+    }], { session });
+    dividends.push(dividend);
+
+    // Fill the next unpaid installments until the member's dividends run out
+    const upcoming = await Installment.find({
+      group_id: group._id,
+      member_id: slot.member_id,
+      installment_number: { $gt: auction.month_number },
+      status: { $in: ['Pending', 'Late'] },
+      paid_amount: 0
+    }).sort({ installment_number: 1 }).session(session || null);
+
+    for (const installment of upcoming) {
+      await applyPendingDividends(installment, { session });
+      if (installment.amount > 0) break;
+    }
+  }
+
+  return { commission, pool, perMember, remainder, dividends };
+};
@@ -0,0 +1,73 @@
+// utils/export.js
+import ExcelJS from 'exceljs';
+import { toCsvLine, neutralizeFormula } from './csv.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const isExportRequest = (req) => EXPORT_FORMATS.includes(req.query.format);
+
+const clientGone = () => new Error('Client disconnected');
+
+// Resolves once the response can take more. A client that disconnects never
+// drains, so `close` rejects the wait instead of leaving it hanging.
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) return reject(clientGone());
+  if (res.write(chunk)) return resolve();
+
+  const settle = (callback) => (value) => {
+    res.off('drain', onDrain);
+    res.off('error', onError);
+    res.off('close', onClose);
+    callback(value);
+  };
+  const onDrain = settle(resolve);
+  const onError = settle(reject);
+  const onClose = settle(() => reject(clientGone()));
+
+  res.on('drain', onDrain);
+  res.on('error', onError);
+  res.on('close', onClose);
+});
+
+// Stream a Mongoose query as CSV or XLSX, one document at a time.
+// `columns` is [{ header, value: doc => cell }].
+export const streamExport = async (req, res, query, { filename, columns }) => {
+  const format = req.query.format;
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.set('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+
+  const cursor = query.cursor();
+  try {
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      await writeChunk(res, toCsvLine(columns.map(c => c.header)));
+      for await (const doc of cursor) {
+        await writeChunk(res, toCsvLine(columns.map(c => c.value(doc))));
+      }
+      return res.end();
+    }
+
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(filename);
+    sheet.columns = columns.map(c => ({ header: c.header, width: c.width || 18 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const doc of cursor) {
+      if (res.destroyed) throw clientGone();
+      sheet.addRow(columns.map(c => neutralizeFormula(c.value(doc) ?? ''))).commit();
+    }
+    await workbook.commit();
+  } catch (error) {
+    // Too late for a JSON error once the file has started
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+};
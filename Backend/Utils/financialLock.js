@@ -0,0 +1,98 @@
+// utils/financialLock.js
+// Schema plugin that freezes posted money records. Once a document is locked
+// only the `editable` fields may change; everything else has to be corrected
+// with a reversal or adjustment entry.
+//
+//   lockFinancialRecord(schema, {
+//     lockedFilter: { status: 'Completed' },       // which documents are locked
+//     isLocked: doc => doc.status === 'Completed', // same test for loaded documents
+//     editable: ['description'],
+//     transitions: [{ field: 'status', to: 'Reversed', allow: ['related_transaction'] }],
+//     message: 'Completed transactions are immutable, reverse them instead'
+//   });
+
+const IGNORED_FIELDS = ['updatedAt', 'createdAt', '__v'];
+
+// Top-level fields an update document touches, with the value set for each
+const readUpdate = (update) => {
+  const values = {};
+  Object.entries(update || {}).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      Object.entries(value || {}).forEach(([path, v]) => {
+        values[path.split('.')[0]] = key === '$set' ? v : undefined;
+      });
+    } else {
+      values[key.split('.')[0]] = value;
+    }
+  });
+  return values;
+};
+
+// Fields in `values` that a locked document may not take
+const blockedFields = (values, { editable = [], transitions = [] }) => {
+  const allowed = new Set([...IGNORED_FIELDS, ...editable]);
+  transitions
+    .filter(t => Object.prototype.hasOwnProperty.call(values, t.field) && [].concat(t.to).includes(values[t.field]))
+    .forEach(t => [t.field, ...(t.allow || [])].forEach(field => allowed.add(field)));
+
+  return Object.keys(values).filter(field => !allowed.has(field));
+};
+
+// Pick the editable fields from a request body; anything else is reported back
+export const pickEditable = (body, editable) => {
+  const data = {};
+  const rejected = [];
+  Object.entries(body || {}).forEach(([field, value]) => {
+    if (editable.includes(field)) data[field] = value;
+    else rejected.push(field);
+  });
+  return { data, rejected };
+};
+
+export const lockFinancialRecord = (schema, options) => {
+  const { lockedFilter = {}, isLocked = () => true, message } = options;
+
+  const lockError = (fields) => new Error(`${message} (cannot change ${fields.join(', ')})`);
+
+  // Remember whether a loaded document was already locked before it is modified
+  schema.post('init', function () {
+    this.$locals.financialLock = isLocked(this);
+  });
+
+  schema.post('save', function () {
+    this.$locals.financialLock = isLocked(this);
+  });
+
+  schema.pre('save', function (next) {
+    if (this.isNew || !this.$locals.financialLock) return next();
+
+    const values = Object.fromEntries(this.directModifiedPaths()
+      .map(path => path.split('.')[0])
+      .map(field => [field, this.get(field)]));
+    const blocked = blockedFields(values, options);
+    if (blocked.length > 0) return next(lockError(blocked));
+    next();
+  });
+
+  const matchesLocked = function () {
+    return this.model.exists({ $and: [this.getFilter(), lockedFilter] })
+      .session(this.getOptions().session || null);
+  };
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], async function () {
+    const update = this.getUpdate();
+    const blocked = Array.isArray(update) || ['replaceOne', 'findOneAndReplace'].includes(this.op)
+      ? ['(replacement)']
+      : blockedFields(readUpdate(update), options);
+
+    if (blocked.length > 0 && await matchesLocked.call(this)) {
+      throw lockError(blocked);
+    }
+  });
+
+  schema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], async function () {
+    if (await matchesLocked.call(this)) {
+      throw new Error(`${message} (cannot delete)`);
+    }
+  });
+};
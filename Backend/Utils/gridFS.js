@@ -2,6 +2,8 @@
 import mongoose from 'mongoose';
 import { GridFSBucket } from 'mongodb';
 import sharp from 'sharp';
+import crypto from 'crypto';
+import path from 'path';
 
 let gfs;
 
@@ -43,4 +45,49 @@ export const deleteImage = async (filename) => {
   if (files.length > 0) {
     await gfs.delete(files[0]._id);
   }
-};
\ No newline at end of file
+};
+
+// Store a generated file (PDF etc.) as-is under the given name
+export const uploadFile = async (buffer, filename, contentType) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = gfs.openUploadStream(filename, { metadata: { contentType } });
+    uploadStream
+      .on('finish', () => resolve(filename))
+      .on('error', reject);
+    uploadStream.end(buffer);
+  });
+};
+
+// Get any stored file by name
+export const getFile = getImage;
+
+// Pipe a stored file to the response. A read error before anything was sent
+// becomes a 500; after that the response can only be cut short.
+export const pipeFile = (stream, res) => {
+  stream.on('error', (error) => {
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  });
+  return stream.pipe(res);
+};
+
+// Content-Disposition for a user-supplied file name: a plain ASCII fallback
+// plus the exact name in RFC 5987 form, so quotes or line breaks in an
+// uploaded name cannot break out of the header
+export const setDisposition = (res, filename, type = 'inline') => {
+  const fallback = String(filename).replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  res.set('Content-Disposition', `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`);
+};
+
+// Store an uploaded document (scan, PDF, photo) unchanged under a unique name
+export const uploadDocument = async (file, prefix = 'document') => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const filename = `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}${extension}`;
+  return uploadFile(file.buffer, filename, file.mimetype);
+};
+
+export const deleteFile = deleteImage;
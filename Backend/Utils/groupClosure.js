@@ -0,0 +1,224 @@
+// utils/groupClosure.js
+import Installment from '../models/installment.js';
+import Payout from '../models/payout.js';
+import Dividend from '../models/dividend.js';
+import Auction from '../models/auction.js';
+import Member from '../models/member.js';
+import Employee from '../models/employee.js';
+import Ledger from '../models/ledger.js';
+import Notification from '../models/notification.js';
+import Transaction from '../models/transaction.js';
+import TicketTransfer from '../models/ticketTransfer.js';
+import { calculateDividend } from './dividend.js';
+import { postTransaction, getAccountsByCode } from './accounting.js';
+
+const PAYOUT_PAYABLE = '2000';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const sum = (items, value) => round2(items.reduce((total, item) => total + (value(item) || 0), 0));
+
+// Check a group against the closure rules and work out the final refunds.
+// Nothing is written; `issues` is empty when the group is ready to close.
+export const reviewGroupClosure = async (group, scheme, { session } = {}) => {
+  const issues = [];
+  const filter = { group_id: group._id };
+
+  const [installments, payouts, dividends, auctions, transfers] = await Promise.all([
+    Installment.find(filter).sort({ installment_number: 1 }).session(session || null),
+    Payout.find(filter).session(session || null),
+    Dividend.find(filter).session(session || null),
+    Auction.find(filter).session(session || null),
+    TicketTransfer.find(filter).session(session || null)
+  ]);
+
+  const memberIds = [...group.members.map(m => m.member_id), ...transfers.map(t => t.from_member_id)];
+  const members = new Map((await Member.find({ _id: { $in: memberIds } })
+    .select('member_id mem_name')
+    .session(session || null)).map(m => [String(m._id), m]));
+  const label = (id) => members.get(String(id))?.member_id || String(id);
+  const byMember = (items, id) => items.filter(item => item.member_id.equals(id));
+
+  if (group.status === 'Forming') issues.push('Group has not started');
+  if (group.current_month < scheme.duration_months) {
+    issues.push(`Group is in month ${group.current_month} of ${scheme.duration_months}`);
+  }
+
+  auctions.filter(a => a.status === 'Open')
+    .forEach(a => issues.push(`Auction ${a.auction_id} for month ${a.month_number} is still open`));
+  payouts.filter(p => p.status === 'Pending')
+    .forEach(p => issues.push(`Payout ${p.payout_id} to ${label(p.member_id)} is still pending`));
+
+  // Each ticket is paid out exactly once, whoever held it at the time
+  const ticketPayouts = group.members.map(slot => {
+    const holders = [
+      slot.member_id,
+      ...transfers.filter(t => t.payout_month === slot.payout_month).map(t => t.from_member_id)
+    ];
+    const paid = payouts.filter(p => p.status === 'Paid' && holders.some(h => h.equals(p.member_id)));
+    if (paid.length !== 1) {
+      issues.push(`${label(slot.member_id)} (month ${slot.payout_month}) has ${paid.length} paid payouts, expected exactly 1`);
+    }
+    return paid;
+  });
+
+  installments.filter(i => !['Paid', 'Written Off'].includes(i.status))
+    .forEach(i => issues.push(
+      `Installment ${i.installment_id} (${i.installment_period}) of ${label(i.member_id)} is ${i.status} with ${i.pending_amount} pending`
+    ));
+
+  // Dividends that never reached an installment, and any overpayment, go back to the member
+  const refunds = group.members.map(slot => {
+    const pendingDividends = byMember(dividends, slot.member_id).filter(d => d.status === 'Pending');
+    const overpaid = sum(byMember(installments, slot.member_id), i => Math.max(0, (i.paid_amount || 0) - i.amount));
+    const dividendTotal = sum(pendingDividends, d => d.amount);
+    return {
+      member_id: slot.member_id,
+      member: label(slot.member_id),
+      dividends: dividendTotal,
+      overpaid,
+      amount: round2(dividendTotal + overpaid),
+      dividend_ids: pendingDividends.map(d => d._id)
+    };
+  }).filter(refund => refund.amount > 0);
+
+  const closedAuctions = auctions.filter(a => a.status === 'Closed');
+  const paidPayouts = payouts.filter(p => p.status === 'Paid');
+
+  const summary = {
+    group_id: group.group_id,
+    start_date: group.start_date,
+    duration_months: scheme.duration_months,
+    chit_amount: scheme.chit_amount,
+    member_count: group.members.length,
+    totals: {
+      installments: installments.length,
+      billed: sum(installments, i => i.amount),
+      collected: sum(installments, i => i.paid_amount),
+      dividends_applied: sum(installments, i => i.dividend_amount),
+      late_fees: sum(installments, i => i.late_fee),
+      written_off: sum(installments, i => i.write_off?.amount),
+      auctions: closedAuctions.length,
+      foreman_commission: sum(closedAuctions, a => calculateDividend(scheme, a.winning_discount, group.members.length).commission),
+      payouts: sum(paidPayouts, p => p.payout_amount),
+      processing_fees: sum(paidPayouts, p => p.processing_fee),
+      final_refunds: sum(refunds, r => r.amount),
+      transfers: transfers.length
+    },
+    members: group.members.map((slot, index) => {
+      const own = byMember(installments, slot.member_id);
+      const payout = ticketPayouts[index][0];
+      return {
+        member_id: label(slot.member_id),
+        mem_name: members.get(String(slot.member_id))?.mem_name,
+        payout_month: slot.payout_month,
+        payout_id: payout?.payout_id,
+        payout_amount: payout?.payout_amount || 0,
+        payout_date: payout?.payment_date,
+        billed: sum(own, i => i.amount),
+        paid: sum(own, i => i.paid_amount),
+        dividends: sum(own, i => i.dividend_amount),
+        written_off: sum(own, i => i.write_off?.amount),
+        refund: refunds.find(r => r.member_id.equals(slot.member_id))?.amount || 0
+      };
+    })
+  };
+
+  return { ready: issues.length === 0, issues, refunds, summary };
+};
+
+// Balance left on the group's share of the payout pool
+const poolBalance = async (group, session) => {
+  const accounts = await getAccountsByCode();
+  const [pool] = await Ledger.aggregate([
+    { $match: { group_id: group._id, account_id: accounts.get(PAYOUT_PAYABLE)._id } },
+    { $group: { _id: null, credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+  ]).session(session || null);
+  return pool ? round2(pool.credit - pool.debit) : 0;
+};
+
+// Close a group inside `session`: pay the final refunds, record the summary
+// and mark the group Completed, which locks it. Does nothing if the review
+// finds issues.
+export const settleGroup = async (group, scheme, {
+  employee,
+  remarks,
+  payment_mode = 'Cash',
+  reference_id,
+  session
+}) => {
+  const review = await reviewGroupClosure(group, scheme, { session });
+  if (!review.ready) return { closed: false, ...review };
+
+  const settlements = [];
+  for (const refund of review.refunds) {
+    const [transaction] = await Transaction.create([{
+      branch_id: group.branch_id,
+      member_id: refund.member_id,
+      group_id: group._id,
+      transaction_type: 'Other',
+      amount: refund.amount,
+      payment_mode,
+      reference_id,
+      description: `Final settlement for ${group.group_id} on closure`,
+      recorded_by: employee._id
+    }], { session });
+
+    await postTransaction(transaction, {
+      lines: [
+        { account_code: PAYOUT_PAYABLE, member_id: refund.member_id, debit: refund.amount, credit: 0 },
+        { account_code: payment_mode === 'Cash' ? '1000' : '1010', debit: 0, credit: refund.amount }
+      ],
+      session
+    });
+
+    if (refund.dividend_ids.length > 0) {
+      await Dividend.updateMany(
+        { _id: { $in: refund.dividend_ids } },
+        { status: 'Refunded', transaction_id: transaction._id },
+        { session }
+      );
+    }
+
+    settlements.push({
+      member_id: refund.member,
+      dividends: refund.dividends,
+      overpaid: refund.overpaid,
+      amount: refund.amount,
+      transaction_id: transaction.transaction_id
+    });
+  }
+
+  const summary = {
+    ...review.summary,
+    settlements,
+    pool_balance: await poolBalance(group, session)
+  };
+
+  group.status = 'Completed';
+  group.closure = {
+    closed_by: employee._id,
+    closed_at: new Date(),
+    remarks,
+    summary
+  };
+  await group.save({ session });
+
+  // Let the branch managers know the report is ready
+  const managers = await Employee.find({ branch_id: group.branch_id, role: 'Manager' })
+    .select('_id')
+    .session(session || null);
+  if (managers.length > 0) {
+    await Notification.create(managers.map(manager => ({
+      recipient_id: manager._id,
+      recipient_type: 'Employee',
+      title: `Group ${group.group_id} closed`,
+      message: `Group ${group.group_id} has been closed and settled. ${settlements.length} final refund(s) totalling ₹${summary.totals.final_refunds} were paid; the closure report is available.`,
+      notification_type: 'Group',
+      related_entity: group._id,
+      related_entity_type: 'Group',
+      created_by: employee._id
+    })), { session, ordered: true });
+  }
+
+  return { closed: true, ...review, summary };
+};
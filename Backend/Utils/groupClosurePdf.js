@@ -0,0 +1,91 @@
+// utils/groupClosurePdf.js
+import { renderPdf, drawHeader, drawFields, drawTable, formatCurrency, formatDate } from './pdf.js';
+
+const amount = (value) => Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Closure summary stored on a closed group; expects branch_id and closure.closed_by populated
+export const buildClosurePdf = (group) => {
+  const { closure } = group;
+  const { summary } = closure;
+  const { totals } = summary;
+
+  return renderPdf((doc) => {
+    drawHeader(doc, 'GROUP CLOSURE REPORT', group.branch_id?.bname && `${group.branch_id.bname} Branch`);
+
+    drawFields(doc, [
+      ['Group', summary.group_id],
+      ['Chit Amount', formatCurrency(summary.chit_amount)],
+      ['Started', formatDate(summary.start_date)],
+      ['Duration', `${summary.duration_months} months`],
+      ['Members', summary.member_count],
+      ['Closed On', formatDate(closure.closed_at)],
+      ['Closed By', closure.closed_by?.emp_name && `${closure.closed_by.emp_name} (${closure.closed_by.emp_id})`],
+      ['Remarks', closure.remarks]
+    ]);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Totals');
+    doc.moveDown(0.5);
+    drawFields(doc, [
+      ['Installments', totals.installments],
+      ['Billed', formatCurrency(totals.billed)],
+      ['Collected', formatCurrency(totals.collected)],
+      ['Dividends Applied', formatCurrency(totals.dividends_applied)],
+      ['Late Fees', formatCurrency(totals.late_fees)],
+      ['Written Off', formatCurrency(totals.written_off)],
+      ['Auctions', totals.auctions],
+      ['Foreman Commission', formatCurrency(totals.foreman_commission)],
+      ['Payouts', formatCurrency(totals.payouts)],
+      ['Processing Fees', formatCurrency(totals.processing_fees)],
+      ['Final Refunds', formatCurrency(totals.final_refunds)],
+      ['Ticket Transfers', totals.transfers],
+      ['Pool Balance', formatCurrency(summary.pool_balance)]
+    ], { labelWidth: 150 });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Members');
+    doc.moveDown(0.5);
+    drawTable(doc, [
+      { header: 'Member', width: 55 },
+      { header: 'Name', width: 90 },
+      { header: 'Month', width: 35, align: 'right' },
+      { header: 'Payout', width: 60, align: 'right' },
+      { header: 'Paid On', width: 55 },
+      { header: 'Billed', width: 55, align: 'right' },
+      { header: 'Paid', width: 55, align: 'right' },
+      { header: 'Written Off', width: 50, align: 'right' },
+      { header: 'Refund', width: 50, align: 'right' }
+    ], summary.members.map(member => [
+      member.member_id,
+      member.mem_name || '',
+      member.payout_month,
+      amount(member.payout_amount),
+      formatDate(member.payout_date),
+      amount(member.billed),
+      amount(member.paid),
+      amount(member.written_off),
+      amount(member.refund)
+    ]));
+
+    if (summary.settlements?.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(11).text('Final Settlements');
+      doc.moveDown(0.5);
+      drawTable(doc, [
+        { header: 'Member', width: 80 },
+        { header: 'Transaction', width: 100 },
+        { header: 'Dividends', width: 80, align: 'right' },
+        { header: 'Overpaid', width: 80, align: 'right' },
+        { header: 'Amount', width: 80, align: 'right' }
+      ], summary.settlements.map(settlement => [
+        settlement.member_id,
+        settlement.transaction_id,
+        amount(settlement.dividends),
+        amount(settlement.overpaid),
+        amount(settlement.amount)
+      ]));
+    }
+  }, {
+    title: `Closure ${summary.group_id}`,
+    createdAt: closure.closed_at
+  });
+};
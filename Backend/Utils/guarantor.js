@@ -0,0 +1,42 @@
+// utils/guarantor.js
+import Group from '../models/group.js';
+import Scheme from '../models/scheme.js';
+import Installment from '../models/installment.js';
+import Guarantor from '../models/guarantor.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Verified guarantors needed to cover `liability` under the scheme's policy
+export const requiredGuarantors = (scheme, liability) => {
+  if (liability <= 0) return 0;
+
+  const { min_guarantors: minimum = 1, liability_per_guarantor: perGuarantor } = scheme?.guarantor_policy || {};
+  return perGuarantor > 0 ? Math.max(minimum, Math.ceil(liability / perGuarantor)) : minimum;
+};
+
+// What the payout's member still owes on the group, and whether enough
+// verified guarantors are attached to the payout to cover it. Guarantors are
+// counted as people (distinct uid), not records.
+export const checkPayoutGuarantors = async (payout, { session } = {}) => {
+  const group = await Group.findById(payout.group_id).session(session || null);
+  const [scheme, installments, verified] = await Promise.all([
+    Scheme.findById(group.scheme_id).session(session || null),
+    Installment.find({
+      group_id: payout.group_id,
+      member_id: payout.member_id,
+      status: { $nin: ['Paid', 'Written Off'] }
+    }).session(session || null),
+    Guarantor.distinct('uid', { payout_id: payout._id, status: 'Verified' }).session(session || null)
+  ]);
+
+  const liability = round2(installments.reduce((sum, i) => sum + Math.max(0, i.pending_amount || 0), 0));
+  const required = requiredGuarantors(scheme, liability);
+
+  return {
+    liability,
+    installments_outstanding: installments.length,
+    required,
+    verified: verified.length,
+    satisfied: verified.length >= required
+  };
+};
@@ -0,0 +1,57 @@
+// utils/installmentSchedule.js
+import Installment from '../models/installment.js';
+import { applyPendingDividends } from './dividend.js';
+
+// Due date of the nth installment, spaced by the scheme's auction frequency
+export const getDueDate = (startDate, frequency, installmentNumber) => {
+  const dueDate = new Date(startDate);
+  const offset = installmentNumber - 1;
+
+  if (frequency === 'Weekly') {
+    dueDate.setDate(dueDate.getDate() + offset * 7);
+  } else if (frequency === 'Biweekly') {
+    dueDate.setDate(dueDate.getDate() + offset * 14);
+  } else {
+    // Clamp to the end of shorter months, so the 31st falls due on 28/29 Feb, not 3 Mar
+    const day = dueDate.getDate();
+    dueDate.setDate(1);
+    dueDate.setMonth(dueDate.getMonth() + offset);
+    const lastDay = new Date(dueDate.getFullYear(), dueDate.getMonth() + 1, 0).getDate();
+    dueDate.setDate(Math.min(day, lastDay));
+  }
+
+  return dueDate;
+};
+
+// Create any missing installments for every member of the group.
+// Safe to call repeatedly: existing (group, member, installment_number) rows are skipped.
+// Pass the session that changes the group so the schedule is written with it or not at all.
+export const generateInstallmentSchedule = async (group, scheme, { session } = {}) => {
+  const existing = await Installment.find(
+    { group_id: group._id },
+    { member_id: 1, installment_number: 1 }
+  ).session(session || null);
+  const taken = new Set(existing.map(i => `${i.member_id}:${i.installment_number}`));
+
+  const created = [];
+  for (const slot of group.members) {
+    for (let number = 1; number <= scheme.duration_months; number++) {
+      if (taken.has(`${slot.member_id}:${number}`)) continue;
+
+      // Sequential so the pre-save hook hands out distinct installment_ids
+      const [installment] = await Installment.create([{
+        group_id: group._id,
+        member_id: slot.member_id,
+        scheme_id: scheme._id,
+        installment_number: number,
+        due_date: getDueDate(group.start_date, scheme.auction_frequency, number),
+        amount: scheme.installment_amount
+      }], { session });
+
+      await applyPendingDividends(installment, { session });
+      created.push(installment);
+    }
+  }
+
+  return created;
+};
@@ -0,0 +1,92 @@
+// utils/jobs.js
+import Installment from '../models/installment.js';
+import Notification from '../models/notification.js';
+import Group from '../models/group.js';
+import Auction from '../models/auction.js';
+import { sweepOverdueInstallments } from './lateFee.js';
+import { getDueDate } from './installmentSchedule.js';
+
+// Remind members N days ahead of an installment falling due, once per installment
+export const sendInstallmentReminders = async (asOf = new Date()) => {
+  const daysBefore = parseInt(process.env.REMINDER_DAYS_BEFORE, 10) || 3;
+  const until = new Date(asOf);
+  until.setDate(until.getDate() + daysBefore);
+
+  const installments = await Installment.find({
+    due_date: { $gte: asOf, $lte: until },
+    status: { $in: ['Pending', 'Partial'] }
+  });
+
+  const reminded = await Notification.find(
+    {
+      notification_type: 'Reminder',
+      related_entity: { $in: installments.map(i => i._id) }
+    },
+    { related_entity: 1 }
+  );
+  const remindedIds = new Set(reminded.map(n => String(n.related_entity)));
+
+  let created = 0;
+  for (const installment of installments) {
+    if (remindedIds.has(String(installment._id))) continue;
+
+    const expiry = new Date(installment.due_date);
+    expiry.setDate(expiry.getDate() + 1);
+
+    // Sequential so the pre-save hook hands out distinct notification_ids
+    await Notification.create({
+      recipient_id: installment.member_id,
+      recipient_type: 'Member',
+      title: 'Installment due soon',
+      message: `Your ${installment.installment_period || 'next'} installment of ₹${installment.pending_amount} is due on ${installment.due_date.toLocaleDateString('en-IN')}`,
+      notification_type: 'Reminder',
+      related_entity: installment._id,
+      related_entity_type: 'Installment',
+      expiry_date: expiry
+    });
+    created++;
+  }
+
+  return { due_soon: installments.length, created };
+};
+
+export const purgeExpiredNotifications = async (asOf = new Date()) => {
+  const { deletedCount } = await Notification.deleteMany({ expiry_date: { $lt: asOf } });
+  return { deleted: deletedCount };
+};
+
+// Move active groups on to the next period once this period's auction has
+// closed and the next period has started. Completion stays a manual step.
+export const advanceGroupMonths = async (asOf = new Date()) => {
+  const groups = await Group.find({ status: 'Active' })
+    .populate('scheme_id', 'duration_months auction_frequency');
+
+  let advanced = 0;
+  for (const group of groups) {
+    if (!group.scheme_id || group.current_month >= group.scheme_id.duration_months) continue;
+
+    const auctionClosed = await Auction.exists({
+      group_id: group._id,
+      month_number: group.current_month,
+      status: 'Closed'
+    });
+    if (!auctionClosed) continue;
+
+    const nextStart = getDueDate(group.start_date, group.scheme_id.auction_frequency, group.current_month + 1);
+    if (nextStart > asOf) continue;
+
+    group.current_month += 1;
+    await group.save();
+    advanced++;
+  }
+
+  return { active_groups: groups.length, advanced };
+};
+
+// Job name -> handler and schedule. `dailyAt` is the local hour the job runs.
+export const JOBS = {
+  'mark-overdue-installments': { handler: sweepOverdueInstallments, dailyAt: 1 },
+  'purge-expired-notifications': { handler: purgeExpiredNotifications, dailyAt: 2 },
+  'advance-group-months': { handler: advanceGroupMonths, dailyAt: 3 },
+  'installment-reminders': { handler: sendInstallmentReminders, dailyAt: 8 }
+};
@@ -0,0 +1,128 @@
+// utils/kyc.js
+import Member from '../models/member.js';
+import Branch from '../models/branch.js';
+import KycDocument, { KYC_DOCUMENT_TYPES, REQUIRED_KYC_DOCUMENTS } from '../models/kycDocument.js';
+
+const isExpired = (document, asOf) => Boolean(document.expiry_date) && document.expiry_date < asOf;
+
+// Where one document type stands, from the member's active documents of that type
+export const kycTypeStatus = (documents, asOf = new Date()) => {
+  if (documents.some(d => d.status === 'Verified' && !isExpired(d, asOf))) return 'Verified';
+  if (documents.some(d => d.status === 'Pending' && !isExpired(d, asOf))) return 'Pending';
+  if (documents.some(d => d.status !== 'Rejected' && isExpired(d, asOf))) return 'Expired';
+  if (documents.some(d => d.status === 'Rejected')) return 'Rejected';
+  return 'Missing';
+};
+
+// Status per document type plus what is still needed. A rejected type counts as missing.
+export const summarizeKyc = (documents, asOf = new Date()) => {
+  const types = Object.fromEntries(KYC_DOCUMENT_TYPES.map(type =>
+    [type, kycTypeStatus(documents.filter(d => d.doc_type === type), asOf)]));
+  const requiredWith = (...statuses) => REQUIRED_KYC_DOCUMENTS.filter(type => statuses.includes(types[type]));
+
+  return {
+    types,
+    complete: requiredWith('Verified').length === REQUIRED_KYC_DOCUMENTS.length,
+    missing: requiredWith('Missing', 'Rejected'),
+    expired: requiredWith('Expired'),
+    pending: requiredWith('Pending')
+  };
+};
+
+// kycTypeStatus as an aggregation expression over `$$typeDocs`
+const typeStatusExpr = (asOf) => {
+  const expired = { $and: [{ $ne: [{ $ifNull: ['$$d.expiry_date', null] }, null] }, { $lt: ['$$d.expiry_date', asOf] }] };
+  const any = (cond) => ({ $gt: [{ $size: { $filter: { input: '$$typeDocs', as: 'd', cond } } }, 0] });
+
+  return {
+    $switch: {
+      branches: [
+        { case: any({ $and: [{ $eq: ['$$d.status', 'Verified'] }, { $not: [expired] }] }), then: 'Verified' },
+        { case: any({ $and: [{ $eq: ['$$d.status', 'Pending'] }, { $not: [expired] }] }), then: 'Pending' },
+        { case: any({ $and: [{ $ne: ['$$d.status', 'Rejected'] }, expired] }), then: 'Expired' },
+        { case: any({ $eq: ['$$d.status', 'Rejected'] }), then: 'Rejected' }
+      ],
+      default: 'Missing'
+    }
+  };
+};
+
+const typesWith = (...statuses) => ({
+  $map: {
+    input: { $filter: { input: '$kyc', as: 'k', cond: { $in: ['$$k.status', statuses] } } },
+    as: 'k',
+    in: '$$k.type'
+  }
+});
+
+// One page of the members matching `memberFilter` whose KYC has missing or
+// expired documents, and optionally those only waiting on verification.
+// Worked out in the database so a large branch is never loaded into memory;
+// `memberFilter` goes to $match as is, so ids in it must be ObjectIds.
+export const findIncompleteKyc = async (memberFilter, {
+  includePending = false,
+  asOf = new Date(),
+  page = 1,
+  limit = 50
+} = {}) => {
+  const incomplete = [
+    { 'missing.0': { $exists: true } },
+    { 'expired.0': { $exists: true } }
+  ];
+  if (includePending) incomplete.push({ 'pending.0': { $exists: true } });
+
+  const [result] = await Member.aggregate([
+    { $match: memberFilter },
+    { $lookup: {
+      from: KycDocument.collection.name,
+      let: { member: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$member_id', '$$member'] }, active: true } },
+        { $project: { doc_type: 1, status: 1, expiry_date: 1 } }
+      ],
+      as: 'documents'
+    }},
+    { $addFields: {
+      kyc: {
+        $map: {
+          input: REQUIRED_KYC_DOCUMENTS,
+          as: 'type',
+          in: {
+            $let: {
+              vars: {
+                typeDocs: { $filter: { input: '$documents', as: 'd', cond: { $eq: ['$$d.doc_type', '$$type'] } } }
+              },
+              in: { type: '$$type', status: typeStatusExpr(asOf) }
+            }
+          }
+        }
+      }
+    }},
+    { $addFields: {
+      missing: typesWith('Missing', 'Rejected'),
+      expired: typesWith('Expired'),
+      pending: typesWith('Pending')
+    }},
+    { $match: { $or: incomplete } },
+    { $facet: {
+      total: [{ $count: 'count' }],
+      data: [
+        { $sort: { member_id: 1, _id: 1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $lookup: { from: Branch.collection.name, localField: 'branch_id', foreignField: '_id', as: 'branch' } },
+        { $project: {
+          member_id: 1,
+          mem_name: 1,
+          mobile: 1,
+          branch: { $first: '$branch.bname' },
+          missing: 1,
+          expired: 1,
+          pending: 1
+        }}
+      ]
+    }}
+  ]);
+
+  return { total: result.total[0]?.count || 0, data: result.data };
+};
@@ -0,0 +1,64 @@
+// utils/lateFee.js
+import Installment from '../models/installment.js';
+import Scheme from '../models/scheme.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Days past due, counted from the due date itself
+export const getDaysLate = (dueDate, asOf = new Date()) => {
+  const diff = asOf - new Date(dueDate);
+  return diff > 0 ? Math.ceil(diff / DAY_MS) : 0;
+};
+
+// Late fee owed on an installment under a scheme's policy. Nothing is charged
+// within the grace period; once it is exceeded the fee runs from the due date.
+export const calculateLateFee = (installment, policy = {}, asOf = new Date()) => {
+  if (installment.late_fee_waiver?.waived_at) return 0;
+
+  const daysLate = getDaysLate(installment.due_date, asOf);
+  const grace = policy.grace_period_days ?? 0;
+  if (daysLate === 0 || daysLate <= grace) return 0;
+
+  const rate = policy.rate ?? 0;
+  const base = policy.fee_type === 'Flat' ? rate : installment.amount * (rate / 100);
+
+  let periods = 1;
+  if (policy.frequency === 'PerDay') periods = daysLate;
+  else if (policy.frequency === 'PerMonth') periods = Math.ceil(daysLate / 30);
+
+  let fee = base * periods;
+  if (policy.max_fee != null) fee = Math.min(fee, policy.max_fee);
+
+  return round2(fee);
+};
+
+// Mark overdue installments Late and refresh their assessed late fee
+export const sweepOverdueInstallments = async (asOf = new Date()) => {
+  const overdue = await Installment.find({
+    due_date: { $lt: asOf },
+    status: { $in: ['Pending', 'Partial', 'Late'] }
+  });
+
+  const schemes = new Map();
+  let updated = 0;
+
+  for (const installment of overdue) {
+    const key = String(installment.scheme_id);
+    if (!schemes.has(key)) schemes.set(key, await Scheme.findById(installment.scheme_id));
+    const scheme = schemes.get(key);
+
+    // A waived fee stays at whatever was collected before the waiver
+    const lateFee = installment.late_fee_waiver?.waived_at
+      ? installment.late_fee || 0
+      : calculateLateFee(installment, scheme?.late_fee_policy, asOf);
+    if (installment.status === 'Late' && installment.late_fee === lateFee) continue;
+
+    installment.late_fee = lateFee;
+    await installment.save(); // pre-save hook flips the status to Late
+    updated++;
+  }
+
+  return { scanned: overdue.length, updated };
+};
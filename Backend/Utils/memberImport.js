@@ -0,0 +1,138 @@
+// utils/memberImport.js
+import Member from '../models/member.js';
+import { findBranch } from './branchTree.js';
+import { isBranchInScope } from './branchScope.js';
+
+const REQUIRED_FIELDS = ['mem_name', 'gender', 'dob', 'address', 'pincode', 'phone', 'mobile', 'nominee_name', 'nominee_relation', 'uid'];
+const UNIQUE_FIELDS = ['uid', 'mobile', 'phone'];
+
+// Accepts Excel dates, ISO dates and DD/MM/YYYY or DD-MM-YYYY
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const text = String(value);
+  const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  const date = dayFirst
+    ? new Date(Date.UTC(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])))
+    : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Same calculation registerMember uses
+const ageFromDob = (dob) => Math.abs(new Date(Date.now() - dob.getTime()).getUTCFullYear() - 1970);
+
+// Check every row against the rules registerMember applies. Returns
+// [{ row, data, errors }]; rows with no errors are ready to insert.
+export const validateMemberRows = async (req, records, { defaultBranch } = {}) => {
+  const branchCache = new Map();
+  const resolveBranch = async (ref) => {
+    if (!branchCache.has(ref)) {
+      const branch = await findBranch(ref);
+      branchCache.set(ref, {
+        branch,
+        allowed: Boolean(branch) && await isBranchInScope(req, branch._id)
+      });
+    }
+    return branchCache.get(ref);
+  };
+
+  // Existing members that clash with any uid, mobile or phone in the file
+  const existing = await Member.find({
+    $or: UNIQUE_FIELDS.map(field => ({
+      [field]: { $in: records.map(r => String(r[field] ?? '')).filter(Boolean) }
+    }))
+  }).select(UNIQUE_FIELDS.join(' '));
+  const taken = Object.fromEntries(UNIQUE_FIELDS.map(field => [field, new Set(existing.map(m => m[field]))]));
+  const seen = Object.fromEntries(UNIQUE_FIELDS.map(field => [field, new Map()]));
+
+  const rows = [];
+  for (const record of records) {
+    const errors = [];
+    const value = (field) => String(record[field] ?? '').trim();
+
+    const data = {
+      mem_name: value('mem_name') || value('name'),
+      gender: value('gender'),
+      address: value('address'),
+      phone: value('phone'),
+      mobile: value('mobile'),
+      nominee_name: value('nominee_name'),
+      nominee_relation: value('nominee_relation'),
+      uid: value('uid'),
+      registered_by: req.employee._id
+    };
+
+    REQUIRED_FIELDS
+      .filter(field => !['dob', 'pincode'].includes(field) && !data[field])
+      .forEach(field => errors.push(`${field} is required`));
+
+    // Date of birth drives age, as in registerMember
+    if (!value('dob') && !(record.dob instanceof Date)) {
+      errors.push('dob is required');
+    } else {
+      const dob = parseDate(record.dob);
+      if (!dob || dob > new Date()) {
+        errors.push(`dob "${value('dob')}" is not a valid past date`);
+      } else {
+        data.dob = dob;
+        data.age = ageFromDob(dob);
+      }
+    }
+
+    if (!value('pincode')) {
+      errors.push('pincode is required');
+    } else if (!/^\d{6}$/.test(value('pincode'))) {
+      errors.push(`pincode "${value('pincode')}" must be 6 digits`);
+    } else {
+      data.pincode = Number(value('pincode'));
+    }
+
+    const branchRef = value('branch_id') || value('branch') || defaultBranch;
+    if (!branchRef) {
+      errors.push('branch_id is required');
+    } else {
+      const { branch, allowed } = await resolveBranch(branchRef);
+      if (!branch) errors.push(`Branch ${branchRef} not found`);
+      else if (!allowed) errors.push(`Not authorized for branch ${branchRef}`);
+      else data.branch_id = branch._id;
+    }
+
+    UNIQUE_FIELDS.filter(field => data[field]).forEach(field => {
+      if (taken[field].has(data[field])) {
+        errors.push(`Member with same ${field === 'uid' ? 'UID' : field} already exists`);
+      } else if (seen[field].has(data[field])) {
+        errors.push(`Duplicate ${field === 'uid' ? 'UID' : field} in file (row ${seen[field].get(data[field])})`);
+      } else {
+        seen[field].set(data[field], record._row);
+      }
+    });
+
+    // Remaining schema rules
+    if (errors.length === 0) {
+      const validation = new Member(data).validateSync();
+      if (validation) errors.push(...Object.values(validation.errors).map(e => e.message));
+    }
+
+    rows.push({ row: record._row, data, errors });
+  }
+
+  return rows;
+};
+
+// Insert the valid rows one at a time so IDs and hooks run as in registerMember
+export const importMembers = async (rows) => {
+  const results = [];
+  for (const { row, data, errors } of rows) {
+    if (errors.length > 0) {
+      results.push({ row, status: 'invalid', errors });
+      continue;
+    }
+
+    try {
+      const member = await Member.create(data);
+      results.push({ row, status: 'imported', member_id: member.member_id, _id: member._id });
+    } catch (error) {
+      results.push({ row, status: 'failed', errors: [error.message] });
+    }
+  }
+  return results;
+};
@@ -0,0 +1,165 @@
+// utils/memberStatement.js
+import Ledger from '../models/ledger.js';
+import Installment from '../models/installment.js';
+import Dividend from '../models/dividend.js';
+import { toCsv } from './csv.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// What a member sees for each kind of posting
+const LINE_TYPES = {
+  Installment: 'Installment',
+  Auction: 'Payout',
+  Penalty: 'Penalty',
+  Deposit: 'Deposit',
+  Withdrawal: 'Withdrawal',
+  Commission: 'Commission',
+  Other: 'Other'
+};
+
+const dateRange = (startDate, endDate) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Every group the member is in, over an optional date range. Ledger lines move
+// the balance (credits are money paid in, debits money paid out); dividends
+// and late fees are shown as memo lines since they are not posted to the member.
+export const buildMemberStatement = async (member, { startDate, endDate } = {}) => {
+  const range = dateRange(startDate, endDate);
+
+  const [ledgerEntries, installments, dividends] = await Promise.all([
+    Ledger.find({ member_id: member._id, ...(range && { date: range }) })
+      .populate('group_id', 'group_id')
+      .populate('transaction_id', 'transaction_id transaction_type is_reversal')
+      .sort({ date: 1, createdAt: 1 }),
+    Installment.find({ member_id: member._id, ...(range && { due_date: range }) })
+      .populate('group_id', 'group_id')
+      .sort({ due_date: 1, installment_number: 1 }),
+    Dividend.find({ member_id: member._id, ...(range && { createdAt: range }) })
+      .populate('group_id', 'group_id')
+      .sort({ createdAt: 1 })
+  ]);
+
+  // Opening balance is everything posted before the range
+  let openingBalance = 0;
+  if (startDate) {
+    const [prior] = await Ledger.aggregate([
+      { $match: { member_id: member._id, date: { $lt: new Date(startDate) } } },
+      { $group: { _id: null, credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+    ]);
+    openingBalance = prior ? round2(prior.credit - prior.debit) : 0;
+  }
+
+  const postings = ledgerEntries.map(entry => {
+    const transaction = entry.transaction_id;
+    const type = LINE_TYPES[transaction?.transaction_type] || 'Other';
+    return {
+      date: entry.date,
+      type: transaction?.is_reversal ? `${type} reversal` : type,
+      group: entry.group_id?.group_id,
+      reference: transaction?.transaction_id || entry.reference,
+      description: entry.description,
+      debit: entry.debit || 0,
+      credit: entry.credit || 0,
+      memo: 0
+    };
+  });
+
+  const memos = [
+    ...dividends.map(dividend => ({
+      date: dividend.applied_at || dividend.createdAt,
+      type: 'Dividend',
+      group: dividend.group_id?.group_id,
+      reference: dividend.dividend_id,
+      description: `Dividend for month ${dividend.month_number} (${dividend.status})`,
+      debit: 0,
+      credit: 0,
+      memo: dividend.amount
+    })),
+    ...installments
+      .filter(installment => installment.late_fee > 0)
+      .map(installment => ({
+        date: installment.paid_date || installment.due_date,
+        type: 'Penalty',
+        group: installment.group_id?.group_id,
+        reference: installment.installment_id,
+        description: `Late fee on ${installment.installment_period || installment.installment_id}` +
+          (installment.late_fee_paid > 0 ? `, ${installment.late_fee_paid} paid` : ''),
+        debit: 0,
+        credit: 0,
+        memo: installment.late_fee
+      }))
+  ];
+
+  // Running balance is derived on read, never stored
+  let balance = openingBalance;
+  const lines = [...postings, ...memos]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(line => {
+      balance = round2(balance + line.credit - line.debit);
+      return { ...line, balance };
+    });
+
+  const sumOf = (type, field) => round2(lines
+    .filter(line => line.type === type)
+    .reduce((sum, line) => sum + line[field], 0));
+
+  return {
+    member: {
+      _id: member._id,
+      member_id: member.member_id,
+      mem_name: member.mem_name,
+      address: member.address,
+      mobile: member.mobile
+    },
+    period: {
+      start_date: startDate ? new Date(startDate) : null,
+      end_date: endDate ? new Date(endDate) : new Date()
+    },
+    opening_balance: openingBalance,
+    closing_balance: balance,
+    totals: {
+      installments_paid: sumOf('Installment', 'credit'),
+      payouts_received: sumOf('Payout', 'debit'),
+      dividends: sumOf('Dividend', 'memo'),
+      penalties: sumOf('Penalty', 'memo'),
+      total_credit: round2(lines.reduce((sum, line) => sum + line.credit, 0)),
+      total_debit: round2(lines.reduce((sum, line) => sum + line.debit, 0))
+    },
+    lines,
+    installments: installments.map(installment => ({
+      installment_id: installment.installment_id,
+      group: installment.group_id?.group_id,
+      period: installment.installment_period,
+      due_date: installment.due_date,
+      amount: installment.amount,
+      dividend_amount: installment.dividend_amount || 0,
+      paid_amount: installment.paid_amount || 0,
+      pending_amount: installment.pending_amount || 0,
+      late_fee: installment.late_fee || 0,
+      late_fee_paid: installment.late_fee_paid || 0,
+      status: installment.status
+    }))
+  };
+};
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+export const statementToCsv = (statement) => toCsv([
+  { header: 'Date', value: line => formatDay(line.date) },
+  { header: 'Type', value: line => line.type },
+  { header: 'Group', value: line => line.group },
+  { header: 'Reference', value: line => line.reference },
+  { header: 'Description', value: line => line.description },
+  { header: 'Debit', value: line => line.debit || '' },
+  { header: 'Credit', value: line => line.credit || '' },
+  { header: 'Memo', value: line => line.memo || '' },
+  { header: 'Balance', value: line => line.balance }
+], [
+  { date: statement.period.start_date, type: 'Opening balance', balance: statement.opening_balance },
+  ...statement.lines,
+  { date: statement.period.end_date, type: 'Closing balance', balance: statement.closing_balance }
+]);
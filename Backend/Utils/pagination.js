@@ -0,0 +1,118 @@
+// utils/pagination.js
+import { BSON } from 'mongodb';
+
+const DEFAULT_LIMIT = 50;
+
+// Bad paging input is the client's fault; list handlers answer with error.status
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const MAX_LIMIT = 500;
+
+// Top-level schema paths a client may sort or select on. Hidden paths
+// (select: false, e.g. passwords) are never exposed.
+const allowedPaths = (model) => new Set(Object.entries(model.schema.paths)
+  .filter(([, type]) => type.options?.select !== false)
+  .map(([path]) => path.split('.')[0]));
+
+// "-createdAt,name" -> { createdAt: -1, name: 1 }; unknown fields are ignored
+const parseSort = (param, model, fallback) => {
+  if (!param) return { ...fallback };
+  const allowed = allowedPaths(model);
+  const sort = {};
+  String(param).split(',').map(s => s.trim()).filter(Boolean).forEach(key => {
+    const field = key.replace(/^[-+]/, '');
+    if (allowed.has(field)) sort[field] = key.startsWith('-') ? -1 : 1;
+  });
+  return Object.keys(sort).length > 0 ? sort : { ...fallback };
+};
+
+// "member_id,mem_name" -> ['member_id', 'mem_name']. Unknown fields and
+// anything the handler already excludes (e.g. '-password') are ignored.
+const parseFields = (param, query) => {
+  if (!param) return null;
+  const allowed = allowedPaths(query.model);
+  const excluded = Object.entries(query.projection() || {})
+    .filter(([field, value]) => value === 0 || value === false || field.startsWith('-'))
+    .map(([field]) => field.replace(/^-/, ''));
+
+  const fields = String(param).split(',').map(f => f.trim())
+    .filter(f => allowed.has(f) && !excluded.includes(f));
+  return fields.length > 0 ? fields : null;
+};
+
+// Populated refs contribute their id, not the joined document
+const sortValue = (doc, field) => (doc.populated?.(field) ?? doc.get?.(field) ?? doc[field] ?? null);
+
+const encodeCursor = (doc, sort) => Buffer.from(BSON.EJSON.stringify(
+  Object.keys(sort).map(field => sortValue(doc, field)),
+  { relaxed: false }
+)).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = BSON.EJSON.parse(Buffer.from(String(cursor), 'base64url').toString(), { relaxed: false });
+    if (Array.isArray(values) && values.length === Object.keys(sort).length) return values;
+  } catch (error) {
+    // fall through
+  }
+  throw badRequest('Invalid cursor');
+};
+
+// Documents that come after the cursor in `sort` order
+const afterCursor = (sort, values) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, i) => ({
+      ...Object.fromEntries(fields.slice(0, i).map((f, j) => [f, values[j]])),
+      [field]: { [sort[field] === 1 ? '$gt' : '$lt']: values[i] }
+    }))
+  };
+};
+
+// ?page and ?limit, clamped to the defaults every list endpoint uses
+export const pageParams = (req) => ({
+  page: Math.max(parseInt(req.query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+});
+
+// Run a list query with the standard ?page | ?cursor, ?limit, ?sort and ?fields
+// parameters. The query's own sort is the default order; _id breaks ties so
+// cursors are stable. Returns the response envelope minus `success`.
+export const paginate = async (req, query) => {
+  const model = query.model;
+  const filter = query.getFilter();
+
+  const { limit } = pageParams(req);
+  const sort = parseSort(req.query.sort, model, query.getOptions().sort || { createdAt: -1 });
+  if (!('_id' in sort)) sort._id = sort[Object.keys(sort)[0]] || -1;
+
+  // Sort keys stay selected so the next cursor can be built
+  const fields = parseFields(req.query.fields, query);
+  if (fields) {
+    query.projection(Object.fromEntries([...fields, ...Object.keys(sort)].map(field => [field, 1])));
+  }
+
+  let page = null;
+  if (req.query.cursor) {
+    query.setQuery({ $and: [filter, afterCursor(sort, decodeCursor(req.query.cursor, sort))] });
+  } else {
+    ({ page } = pageParams(req));
+    query.skip((page - 1) * limit);
+  }
+
+  const [docs, total] = await Promise.all([
+    query.sort(sort, { override: true }).limit(limit + 1),
+    model.countDocuments(filter)
+  ]);
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    count: data.length,
+    total,
+    page,
+    limit,
+    next_cursor: hasMore ? encodeCursor(data[data.length - 1], sort) : null,
+    data
+  };
+};
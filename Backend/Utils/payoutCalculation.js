@@ -0,0 +1,63 @@
+// utils/payoutCalculation.js
+import Auction from '../models/auction.js';
+import { calculateDividend } from './dividend.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Processing fee under the scheme's policy, never more than the payout itself
+export const calculateProcessingFee = (amount, policy) => {
+  if (!policy || !policy.rate) return 0;
+
+  let fee = policy.fee_type === 'Percentage' ? amount * (policy.rate / 100) : policy.rate;
+  if (policy.max_fee != null) fee = Math.min(fee, policy.max_fee);
+
+  return round2(Math.min(fee, amount));
+};
+
+// Prize money for one month. The foreman commission comes out of the discount
+// first, as in calculateDividend; only a shortfall is taken from the prize.
+export const calculatePayout = (scheme, { discount = 0, discount_source = 'None', auction_id } = {}) => {
+  const { commission } = calculateDividend(scheme, discount, 1);
+  const fromDiscount = Math.min(commission, discount);
+  const deducted = round2(commission - fromDiscount);
+  const amount = round2(scheme.chit_amount - discount - deducted);
+
+  if (!(amount > 0)) {
+    throw new Error('Discount and commission leave nothing to pay out');
+  }
+
+  const fee = calculateProcessingFee(amount, scheme.processing_fee_policy);
+
+  return {
+    chit_amount: scheme.chit_amount,
+    discount,
+    discount_source,
+    auction_id,
+    commission_rate: scheme.commission_rate || 0,
+    commission,
+    commission_from_discount: round2(fromDiscount),
+    commission_deducted: deducted,
+    computed_amount: amount,
+    computed_fee: fee,
+    net_amount: round2(amount - fee)
+  };
+};
+
+// Discount for a month: the closed auction's winning bid, else the scheme's fixed schedule
+export const resolveDiscount = async (group, scheme, monthNumber) => {
+  const auction = await Auction.findOne({
+    group_id: group._id,
+    month_number: monthNumber,
+    status: 'Closed'
+  });
+  if (auction) {
+    return { discount: auction.winning_discount || 0, discount_source: 'Auction', auction_id: auction._id };
+  }
+
+  const scheduled = scheme.payout_schedule?.find(s => s.month_number === Number(monthNumber));
+  if (scheduled) {
+    return { discount: scheduled.discount || 0, discount_source: 'Schedule' };
+  }
+
+  return { discount: 0, discount_source: 'None' };
+};
@@ -0,0 +1,107 @@
+// utils/pdf.js
+import PDFDocument from 'pdfkit';
+
+export const COMPANY_NAME = process.env.COMPANY_NAME || 'Chitfund';
+
+// The built-in PDF fonts have no rupee glyph
+export const formatCurrency = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN') : '-');
+
+// Run `draw(doc)` on a fresh document and collect the output.
+// `createdAt` pins the embedded creation date so a rebuild is byte-identical.
+export const renderPdf = (draw, { size = 'A4', layout = 'portrait', title, createdAt } = {}) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size,
+      layout,
+      margin: 40,
+      info: {
+        Title: title,
+        Author: COMPANY_NAME,
+        CreationDate: createdAt ? new Date(createdAt) : new Date()
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Company name, document title and a rule underneath
+export const drawHeader = (doc, title, subtitle) => {
+  doc.font('Helvetica-Bold').fontSize(18).text(COMPANY_NAME, { align: 'center' });
+  if (subtitle) doc.font('Helvetica').fontSize(10).text(subtitle, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).text(title, { align: 'center' });
+  doc.moveDown(0.5);
+
+  const y = doc.y;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).stroke();
+  doc.moveDown();
+};
+
+// Two-column label/value rows
+export const drawFields = (doc, rows, { labelWidth = 130 } = {}) => {
+  const left = doc.page.margins.left;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+
+  rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(10).text(label, left, y, { width: labelWidth });
+      doc.font('Helvetica').fontSize(10).text(String(value), left + labelWidth, y, { width: valueWidth });
+      doc.moveDown(0.4);
+    });
+
+  doc.x = left;
+};
+
+// Simple grid table that carries its header onto new pages.
+// `columns` is [{ header, width, align }], `rows` are arrays of cell text.
+export const drawTable = (doc, columns, rows, { fontSize = 8 } = {}) => {
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const padding = 3;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(fontSize);
+    return Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(String(cell ?? ''), { width: columns[i].width - padding * 2 }))) + padding * 2;
+  };
+
+  const drawRow = (cells, font) => {
+    const height = rowHeight(cells, font);
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      if (font !== 'Helvetica-Bold') drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+    }
+
+    const y = doc.y;
+    let x = left;
+    doc.font(font).fontSize(fontSize);
+    cells.forEach((cell, i) => {
+      const { width, align = 'left' } = columns[i];
+      doc.rect(x, y, width, height).stroke();
+      doc.text(String(cell ?? ''), x + padding, y + padding, { width: width - padding * 2, align });
+      x += width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(c => c.header), 'Helvetica-Bold');
+  rows.forEach(row => drawRow(row, 'Helvetica'));
+  doc.moveDown();
+};
@@ -0,0 +1,30 @@
+// utils/permissions.js
+import Role from '../models/role.js';
+
+let permissionCache = null;
+
+// Role name -> granted permissions, seeding the defaults on first use
+export const getRolePermissions = async (roleName) => {
+  if (!permissionCache) {
+    await Role.ensureDefaults();
+    const roles = await Role.find();
+    permissionCache = new Map(roles.map(r => [r.name, r.permissions]));
+  }
+
+  return permissionCache.get(roleName) || [];
+};
+
+export const clearPermissionCache = () => {
+  permissionCache = null;
+};
+
+export const hasPermission = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*') ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`);
+};
+
+// True when `granted` holds every one of `permissions`
+export const coversPermissions = (granted, permissions) =>
+  permissions.every(permission => hasPermission(granted, permission));
@@ -0,0 +1,73 @@
+// utils/receiptPdf.js
+import { amountInWords } from './amountInWords.js';
+import { renderPdf, drawHeader, drawFields, formatCurrency, formatDate } from './pdf.js';
+import crypto from 'crypto';
+import Receipt from '../models/receipt.js';
+import { uploadFile, getFile, deleteFile } from './gridFS.js';
+
+// Download name; one stored copy per receipt and status, so a cancelled receipt reprints with its stamp
+export const receiptPdfName = (receipt) =>
+  `receipt-${receipt.receipt_id}-${receipt.status.toLowerCase()}.pdf`;
+
+// Expects branch_id, member_id, group_id and received_by populated
+export const buildReceiptPdf = (receipt) => {
+  const cheque = receipt.cheque_details || {};
+
+  return renderPdf((doc) => {
+    drawHeader(doc, 'PAYMENT RECEIPT', receipt.branch_id?.bname && `${receipt.branch_id.bname} Branch`);
+
+    drawFields(doc, [
+      ['Receipt No', receipt.receipt_no || receipt.receipt_id],
+      ['Receipt Date', formatDate(receipt.receipt_date)],
+      ['Member', receipt.member_id && `${receipt.member_id.mem_name} (${receipt.member_id.member_id})`],
+      ['Group', receipt.group_id?.group_id],
+      ['Amount', formatCurrency(receipt.receipt_amount)],
+      ['Amount in Words', amountInWords(receipt.receipt_amount)],
+      ['Payment Mode', receipt.payment_mode],
+      ['Cheque No', cheque.cheque_no],
+      ['Bank', [cheque.bank_name, cheque.branch_name].filter(Boolean).join(', ')],
+      ['Cheque Date', cheque.cheque_date && formatDate(cheque.cheque_date)],
+      ['Collected By', receipt.received_by && `${receipt.received_by.emp_name} (${receipt.received_by.emp_id})`]
+    ]);
+
+    if (receipt.status !== 'Completed') {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(22).fillColor('red')
+        .text(receipt.status.toUpperCase(), { align: 'center' })
+        .fillColor('black');
+    }
+
+    doc.moveDown(3);
+    doc.font('Helvetica').fontSize(9)
+      .text('This is a computer generated receipt.', { align: 'left' })
+      .text('Authorised Signatory', { align: 'right' });
+  }, {
+    size: 'A5',
+    title: `Receipt ${receipt.receipt_no || receipt.receipt_id}`,
+    createdAt: receipt.createdAt
+  });
+};
+
+// Stream of the stored copy, rendering and storing it on first request. The
+// copy is uploaded under a unique name and only the first request to record it
+// on the receipt keeps it, so concurrent first prints leave a single file.
+// Copies stored before the name was recorded are still found by receiptPdfName.
+export const getReceiptPdf = async (receipt) => {
+  const filename = receiptPdfName(receipt);
+  const status = receipt.status;
+
+  const stored = await getFile(receipt.pdf_files?.get(status) || filename);
+  if (stored) return { filename, stream: stored };
+
+  const buffer = await buildReceiptPdf(receipt);
+  const storedName = filename.replace(/\.pdf$/, `-${crypto.randomBytes(6).toString('hex')}.pdf`);
+  await uploadFile(buffer, storedName, 'application/pdf');
+
+  const recorded = await Receipt.findOneAndUpdate(
+    { _id: receipt._id, [`pdf_files.${status}`]: { $exists: false } },
+    { $set: { [`pdf_files.${status}`]: storedName } }
+  );
+  if (!recorded) await deleteFile(storedName);
+
+  return { filename, buffer };
+};
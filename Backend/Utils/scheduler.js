@@ -0,0 +1,117 @@
+// utils/scheduler.js
+import os from 'os';
+import Job from '../models/job.js';
+import JobRun from '../models/jobRun.js';
+import { JOBS } from './jobs.js';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const TICK_MS = 60 * 1000;
+// A crashed instance's lock expires after this long
+const LOCK_MS = 30 * 60 * 1000;
+
+let timer = null;
+
+// Next occurrence of the job's daily hour after `from`
+export const getNextRunAt = (job, from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(job.dailyAt, 0, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+};
+
+// Create schedule documents for jobs seen for the first time
+const ensureJobs = async () => {
+  for (const [name, job] of Object.entries(JOBS)) {
+    await Job.updateOne(
+      { name },
+      { $setOnInsert: { name, next_run_at: getNextRunAt(job) } },
+      { upsert: true }
+    );
+  }
+};
+
+// Take the lock if the job is due (or forced) and no other instance holds it
+const acquireLock = (name, force) => {
+  const now = new Date();
+  const filter = {
+    name,
+    enabled: true,
+    $or: [
+      { locked_until: null },
+      { locked_until: { $lt: now } }
+    ]
+  };
+  if (!force) filter.next_run_at = { $lte: now };
+
+  return Job.findOneAndUpdate(
+    filter,
+    { locked_by: INSTANCE_ID, locked_until: new Date(now.getTime() + LOCK_MS) },
+    { new: true }
+  );
+};
+
+// Run a job under its lock and record the run. Returns null when the job is
+// not due or another instance is already running it.
+export const runJob = async (name, { trigger = 'Schedule', triggeredBy } = {}) => {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job ${name}`);
+
+  const lock = await acquireLock(name, trigger === 'Manual');
+  if (!lock) return null;
+
+  const run = await JobRun.create({
+    job_name: name,
+    instance_id: INSTANCE_ID,
+    trigger,
+    triggered_by: triggeredBy
+  });
+
+  try {
+    run.result = await job.handler(new Date());
+    run.status = 'Succeeded';
+  } catch (error) {
+    run.status = 'Failed';
+    run.error = error.message;
+  }
+
+  run.finished_at = new Date();
+  await run.save();
+
+  await Job.updateOne(
+    { name, locked_by: INSTANCE_ID },
+    {
+      locked_by: null,
+      locked_until: null,
+      last_run_at: run.started_at,
+      last_status: run.status,
+      next_run_at: getNextRunAt(job, run.finished_at)
+    }
+  );
+
+  return run;
+};
+
+const tick = async () => {
+  for (const name of Object.keys(JOBS)) {
+    try {
+      await runJob(name);
+    } catch (error) {
+      console.error(`Job ${name} failed to start:`, error.message);
+    }
+  }
+};
+
+export const startScheduler = async () => {
+  if (timer) return;
+
+  await ensureJobs();
+  timer = setInterval(tick, TICK_MS);
+  tick();
+  console.log('Job scheduler started');
+};
+
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,109 @@
+// utils/sequence.js
+import mongoose from 'mongoose';
+import Counter from '../models/counter.js';
+
+const FINANCIAL_YEAR_START_MONTH = parseInt(process.env.FINANCIAL_YEAR_START_MONTH, 10) || 4;
+
+const twoDigitYear = (date) => date.getFullYear().toString().slice(-2);
+
+// "2526" for the year running April 2025 - March 2026
+export const financialYearCode = (date = new Date()) => {
+  const startYear = date.getMonth() + 1 >= FINANCIAL_YEAR_START_MONTH
+    ? date.getFullYear()
+    : date.getFullYear() - 1;
+  return `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+};
+
+const branchCode = async (branchId) => {
+  const branch = branchId && await mongoose.model('Branch').findById(branchId).select('branch_id bname');
+  if (!branch) throw new Error('Branch not found');
+  return branch;
+};
+
+// ID format per model. `prefix` may be a function of the document.
+// `yearly` sequences take the financial-year part when ID_FINANCIAL_YEAR_PREFIX is on;
+// any model carrying a branch_id takes the branch part when ID_BRANCH_PREFIX is on.
+export const ID_SEQUENCES = {
+  Branch: { field: 'branch_id', prefix: 'BRN' },
+  Employee: { field: 'emp_id', prefix: 'EMP' },
+  Member: { field: 'member_id', prefix: 'MEM' },
+  Scheme: { field: 'scheme_id', prefix: 'SCH' },
+  Group: { field: 'group_id', prefix: 'GRP' },
+  Installment: { field: 'installment_id', prefix: 'INS', yearly: true },
+  Receipt: { field: 'receipt_id', prefix: 'RCP', yearly: true },
+  Transaction: { field: 'transaction_id', prefix: () => `TXN${twoDigitYear(new Date())}` },
+  Ledger: { field: 'ledger_id', prefix: 'LGR', yearly: true },
+  Auction: { field: 'auction_id', prefix: 'AUC', yearly: true },
+  Dividend: { field: 'dividend_id', prefix: 'DIV', yearly: true },
+  Payout: { field: 'payout_id', prefix: 'PYT', yearly: true },
+  Booking: { field: 'booking_id', prefix: 'BKG', yearly: true },
+  Notification: { field: 'notification_id', prefix: 'NOT', yearly: true },
+  TicketTransfer: { field: 'transfer_id', prefix: 'TRF', yearly: true },
+  Guarantor: { field: 'guarantor_id', prefix: 'GUA' },
+  KycDocument: { field: 'document_id', prefix: 'KYC' }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Highest number already issued under `prefix`, so a new counter carries on from existing data
+const highestIssued = async (Model, field, prefix, filter) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`);
+  const ids = await Model.find({ ...filter, [field]: pattern }).distinct(field);
+  return ids.reduce((max, id) => Math.max(max, parseInt(id.match(pattern)[1], 10)), 0);
+};
+
+// Atomically take the next number of a sequence. `seed` returns the starting
+// point the first time the counter is used.
+export const nextSequence = async (key, seed = async () => 0) => {
+  const counter = await Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  try {
+    await Counter.create({ _id: key, seq: await seed() });
+  } catch (error) {
+    // Another request created it first; either way it exists now
+    if (error.code !== 11000) throw error;
+  }
+  return nextSequence(key);
+};
+
+// Build the next ID for a new document, e.g. GRP001, RCP-BRN002-2526-014.
+// Counters are kept outside any transaction: an aborted write leaves a gap
+// but never blocks another request or hands out the same number twice.
+export const nextId = async (doc, overrides = {}) => {
+  const Model = doc.constructor;
+  const config = { ...ID_SEQUENCES[Model.modelName], ...overrides };
+  if (!config.field) throw new Error(`No ID sequence configured for ${Model.modelName}`);
+
+  const { field, width = 3, scope = {} } = config;
+  let prefix = typeof config.prefix === 'function' ? await config.prefix(doc) : config.prefix;
+
+  // Optional parts, switched on per deployment
+  const parts = [];
+  const optional = config.optionalParts !== false;
+  if (optional && process.env.ID_BRANCH_PREFIX === 'true' && doc.branch_id && Model.modelName !== 'Branch') {
+    parts.push((await branchCode(doc.branch_id)).branch_id);
+  }
+  if (optional && process.env.ID_FINANCIAL_YEAR_PREFIX === 'true' && config.yearly) {
+    parts.push(financialYearCode());
+  }
+  if (parts.length > 0) prefix = `${[prefix, ...parts].join('-')}-`;
+
+  const scopeKey = Object.entries(scope).map(([k, v]) => `${k}=${v}`).join(',');
+  const key = `${Model.modelName}.${field}:${prefix}${scopeKey ? `@${scopeKey}` : ''}`;
+
+  const seq = await nextSequence(key, () => highestIssued(Model, field, prefix, scope));
+  return `${prefix}${String(seq).padStart(width, '0')}`;
+};
+
+// Receipt numbers run per branch and year: CHE-26-00001
+export const nextReceiptNo = async (receipt) => {
+  const branch = await branchCode(receipt.branch_id);
+  return nextId(receipt, {
+    field: 'receipt_no',
+    prefix: `${branch.bname.substring(0, 3).toUpperCase()}-${twoDigitYear(new Date())}-`,
+    width: 5,
+    optionalParts: false,
+    scope: { branch_id: String(branch._id) }
+  });
+};
@@ -0,0 +1,60 @@
+// utils/spreadsheet.js
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csv.js';
+
+// "Nominee Name" -> "nominee_name"
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// ExcelJS cells can be rich text, formulas or hyperlinks
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.text !== undefined) return value.text;
+  }
+  return value;
+};
+
+const isXlsx = (file) => /\.xlsx$/i.test(file.originalname || '')
+  || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Uploaded CSV or XLSX as objects keyed by normalised header. Each object
+// carries `_row`, the line number in the sheet, for error reports.
+export const readSpreadsheet = async (file) => {
+  let table;
+
+  if (isXlsx(file)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    table = [];
+    sheet.eachRow({ includeEmpty: false }, (row, number) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, column) => {
+        cells[column - 1] = cellValue(cell.value);
+      });
+      table.push({ number, cells });
+    });
+  } else {
+    table = parseCsv(file.buffer.toString('utf8'))
+      .map((cells, i) => ({ number: i + 1, cells }))
+      .filter(({ cells }) => cells.some(value => value.trim() !== ''));
+  }
+
+  if (table.length === 0) return [];
+
+  const headers = Array.from(table[0].cells, normalizeHeader);
+  return table.slice(1).map(({ number, cells }) => {
+    const record = { _row: number };
+    headers.forEach((header, i) => {
+      if (!header) return;
+      const value = cells[i];
+      record[header] = typeof value === 'string' ? value.trim() : (value ?? '');
+    });
+    return record;
+  });
+};
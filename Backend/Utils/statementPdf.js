@@ -0,0 +1,86 @@
+// utils/statementPdf.js
+import { renderPdf, drawHeader, drawFields, drawTable, formatCurrency, formatDate } from './pdf.js';
+
+const amount = (value) => (value ? Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '');
+
+// Member statement built by buildMemberStatement
+export const buildStatementPdf = (statement) => {
+  const { member, period, totals } = statement;
+
+  return renderPdf((doc) => {
+    drawHeader(doc, 'MEMBER ACCOUNT STATEMENT');
+
+    drawFields(doc, [
+      ['Member', `${member.mem_name} (${member.member_id})`],
+      ['Address', member.address],
+      ['Mobile', member.mobile],
+      ['Period', `${period.start_date ? formatDate(period.start_date) : 'Beginning'} to ${formatDate(period.end_date)}`],
+      ['Opening Balance', formatCurrency(statement.opening_balance)],
+      ['Closing Balance', formatCurrency(statement.closing_balance)]
+    ]);
+    doc.moveDown();
+
+    drawTable(doc, [
+      { header: 'Date', width: 55 },
+      { header: 'Type', width: 60 },
+      { header: 'Group', width: 45 },
+      { header: 'Reference', width: 60 },
+      { header: 'Description', width: 100 },
+      { header: 'Debit', width: 50, align: 'right' },
+      { header: 'Credit', width: 50, align: 'right' },
+      { header: 'Memo', width: 45, align: 'right' },
+      { header: 'Balance', width: 50, align: 'right' }
+    ], [
+      [formatDate(period.start_date), 'Opening balance', '', '', '', '', '', '', amount(statement.opening_balance) || '0.00'],
+      ...statement.lines.map(line => [
+        formatDate(line.date),
+        line.type,
+        line.group || '',
+        line.reference || '',
+        line.description || '',
+        amount(line.debit),
+        amount(line.credit),
+        amount(line.memo),
+        amount(line.balance) || '0.00'
+      ]),
+      [formatDate(period.end_date), 'Closing balance', '', '', '', '', '', '', amount(statement.closing_balance) || '0.00']
+    ]);
+
+    if (statement.installments.length > 0) {
+      doc.font('Helvetica-Bold').fontSize(11).text('Installments');
+      doc.moveDown(0.5);
+      drawTable(doc, [
+        { header: 'Installment', width: 60 },
+        { header: 'Group', width: 50 },
+        { header: 'Period', width: 60 },
+        { header: 'Due Date', width: 55 },
+        { header: 'Amount', width: 55, align: 'right' },
+        { header: 'Dividend', width: 50, align: 'right' },
+        { header: 'Paid', width: 55, align: 'right' },
+        { header: 'Late Fee', width: 45, align: 'right' },
+        { header: 'Status', width: 45 }
+      ], statement.installments.map(installment => [
+        installment.installment_id,
+        installment.group || '',
+        installment.period || '',
+        formatDate(installment.due_date),
+        amount(installment.amount),
+        amount(installment.dividend_amount),
+        amount(installment.paid_amount),
+        amount(installment.late_fee),
+        installment.status
+      ]));
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Summary');
+    doc.moveDown(0.5);
+    drawFields(doc, [
+      ['Installments Paid', formatCurrency(totals.installments_paid)],
+      ['Payouts Received', formatCurrency(totals.payouts_received)],
+      ['Dividends', formatCurrency(totals.dividends)],
+      ['Late Fees', formatCurrency(totals.penalties)]
+    ]);
+  }, {
+    title: `Statement ${member.member_id}`
+  });
+};
@@ -0,0 +1,167 @@
+// utils/ticketTransfer.js
+import Installment from '../models/installment.js';
+import Dividend from '../models/dividend.js';
+import Payout from '../models/payout.js';
+import Transaction from '../models/transaction.js';
+import TicketTransfer from '../models/ticketTransfer.js';
+import { postTransaction } from './accounting.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Hand a group slot from one member to another inside `session`. The slot keeps
+// its payout month and payout status; every installment and dividend on it moves
+// to the incoming member. The outgoing member is refunded what they paid in,
+// less `transfer_fee`, unless they have already taken the payout. The moved
+// installments stay paid, so the incoming member pays in the same amount that
+// was released from the pool (refund plus fee) as arrears.
+export const transferTicket = async ({
+  group,
+  fromMember,
+  toMember,
+  reason,
+  remarks,
+  settlement_amount,
+  transfer_fee,
+  payment_mode = 'Cash',
+  reference_id,
+  arrears_payment_mode = payment_mode,
+  arrears_reference_id,
+  employee,
+  session
+}) => {
+  const slot = group.members.find(m => m.member_id.equals(fromMember._id));
+  if (!slot) throw new Error('Member not found in group');
+  if (group.status === 'Completed') throw new Error('Tickets of a completed group cannot be transferred');
+  if (fromMember._id.equals(toMember._id)) throw new Error('A ticket cannot be transferred to the same member');
+  if (!toMember.active) throw new Error('Incoming member is not active');
+  if (group.members.some(m => m.member_id.equals(toMember._id))) {
+    throw new Error('Incoming member already holds a ticket in this group');
+  }
+
+  const [pendingPayout, incomingHistory, installments] = await Promise.all([
+    Payout.exists({ group_id: group._id, member_id: fromMember._id, status: 'Pending' }).session(session),
+    Installment.exists({ group_id: group._id, member_id: toMember._id }).session(session),
+    Installment.find({ group_id: group._id, member_id: fromMember._id })
+      .sort({ installment_number: 1 })
+      .session(session)
+  ]);
+  if (pendingPayout) throw new Error('Process or skip the pending payout before transferring the ticket');
+  if (incomingHistory) throw new Error('Incoming member already has installments in this group');
+
+  const paidAmount = round2(installments.reduce((sum, i) => sum + (i.paid_amount || 0), 0));
+  const outstandingAmount = round2(installments.reduce((sum, i) => sum + Math.max(0, i.pending_amount || 0), 0));
+
+  // A prized member has been paid out already, so nothing is refunded by default
+  const fee = round2(Number(transfer_fee) || 0);
+  const refund = settlement_amount !== undefined && settlement_amount !== null && settlement_amount !== ''
+    ? round2(Number(settlement_amount))
+    : slot.payout_received ? 0 : Math.max(0, round2(paidAmount - fee));
+
+  if (Number.isNaN(refund) || refund < 0 || fee < 0) {
+    throw new Error('Settlement amount and transfer fee must not be negative');
+  }
+  if (round2(refund + fee) > paidAmount) {
+    throw new Error(`Settlement and fee (${round2(refund + fee)}) exceed the ${paidAmount} paid on the ticket`);
+  }
+
+  // Settle with the outgoing member: release what they paid in, less the fee
+  let transaction = null;
+  let ledgerEntries = [];
+  const gross = round2(refund + fee);
+  if (gross > 0) {
+    [transaction] = await Transaction.create([{
+      branch_id: group.branch_id,
+      member_id: fromMember._id,
+      group_id: group._id,
+      transaction_type: 'Other',
+      amount: gross,
+      payment_mode,
+      reference_id,
+      description: `Ticket settlement for ${fromMember.member_id} in ${group.group_id} (month ${slot.payout_month})`,
+      recorded_by: employee._id
+    }], { session });
+
+    const lines = [{ account_code: '2000', member_id: fromMember._id, debit: gross, credit: 0 }];
+    if (refund > 0) lines.push({ account_code: payment_mode === 'Cash' ? '1000' : '1010', debit: 0, credit: refund });
+    if (fee > 0) lines.push({ account_code: '4000', debit: 0, credit: fee });
+
+    ledgerEntries = await postTransaction(transaction, { lines, session });
+  }
+
+  // Collect the arrears from the incoming member so the pool is made whole
+  let arrearsTransaction = null;
+  if (gross > 0) {
+    [arrearsTransaction] = await Transaction.create([{
+      branch_id: group.branch_id,
+      member_id: toMember._id,
+      group_id: group._id,
+      transaction_type: 'Installment',
+      amount: gross,
+      payment_mode: arrears_payment_mode,
+      reference_id: arrears_reference_id,
+      description: `Arrears on ticket taken over from ${fromMember.member_id} in ${group.group_id} (month ${slot.payout_month})`,
+      recorded_by: employee._id
+    }], { session });
+
+    ledgerEntries = [...ledgerEntries, ...await postTransaction(arrearsTransaction, { session })];
+  }
+
+  // The slot, its schedule and its dividends change hands
+  const [, dividends] = await Promise.all([
+    Installment.updateMany(
+      { group_id: group._id, member_id: fromMember._id },
+      { member_id: toMember._id },
+      { session }
+    ),
+    Dividend.updateMany(
+      { group_id: group._id, member_id: fromMember._id },
+      { member_id: toMember._id },
+      { session }
+    )
+  ]);
+
+  const originalJoinDate = slot.join_date;
+  slot.member_id = toMember._id;
+  slot.join_date = new Date();
+  await group.save({ session });
+
+  const [transfer] = await TicketTransfer.create([{
+    group_id: group._id,
+    branch_id: group.branch_id,
+    payout_month: slot.payout_month,
+    from_member_id: fromMember._id,
+    to_member_id: toMember._id,
+    reason,
+    remarks,
+    group_month: group.current_month,
+    original_join_date: originalJoinDate,
+    payout_received: slot.payout_received,
+    installments: installments.map(i => ({
+      installment_id: i._id,
+      installment_number: i.installment_number,
+      amount: i.amount,
+      paid_amount: i.paid_amount || 0,
+      pending_amount: i.pending_amount || 0,
+      status: i.status
+    })),
+    dividends_moved: dividends.modifiedCount,
+    paid_amount: paidAmount,
+    outstanding_amount: outstandingAmount,
+    settlement: {
+      amount: refund,
+      fee,
+      payment_mode: transaction ? payment_mode : undefined,
+      reference_id: transaction ? reference_id : undefined,
+      transaction_id: transaction?._id
+    },
+    arrears: {
+      amount: gross,
+      payment_mode: arrearsTransaction ? arrears_payment_mode : undefined,
+      reference_id: arrearsTransaction ? arrears_reference_id : undefined,
+      transaction_id: arrearsTransaction?._id
+    },
+    transferred_by: employee._id
+  }], { session });
+
+  return { transfer, transaction, arrears_transaction: arrearsTransaction, ledger_entries: ledgerEntries };
+};
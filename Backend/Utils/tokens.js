@@ -0,0 +1,97 @@
+// utils/tokens.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Employee from '../models/employee.js';
+import RefreshToken from '../models/refreshToken.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// `tv` ties the token to the employee's token_version so it can be revoked early
+export const generateAccessToken = (employee) => {
+  return jwt.sign({ id: employee._id, tv: employee.token_version || 0 }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+const createRefreshToken = async (employeeId, ip) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const expires = new Date();
+  expires.setDate(expires.getDate() + REFRESH_TOKEN_DAYS);
+
+  await RefreshToken.create({
+    token_hash: hashToken(token),
+    employee_id: employeeId,
+    expires_at: expires,
+    created_by_ip: ip
+  });
+
+  return token;
+};
+
+export const issueTokens = async (employee, ip) => ({
+  token: generateAccessToken(employee),
+  refresh_token: await createRefreshToken(employee._id, ip)
+});
+
+// Revoke every refresh token and invalidate access tokens already handed out
+export const revokeAllSessions = async (employeeId, reason = 'Revoked') => {
+  await RefreshToken.updateMany(
+    { employee_id: employeeId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+  await Employee.updateOne({ _id: employeeId }, { $inc: { token_version: 1 } });
+};
+
+// Swap a refresh token for a new pair. The token is claimed with a single
+// conditional update, so of two concurrent refreshes only one wins. Presenting
+// an already-rotated token means it leaked, so the whole session family is revoked.
+export const rotateRefreshToken = async (token, ip) => {
+  const tokenHash = hashToken(token || '');
+  const stored = await RefreshToken.findOneAndUpdate(
+    { token_hash: tokenHash, revoked_at: null, expires_at: { $gt: new Date() } },
+    { revoked_at: new Date(), revoked_reason: 'Rotated' },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ token_hash: tokenHash });
+    if (!existing) throw new Error('Invalid refresh token');
+
+    if (existing.revoked_at) {
+      if (existing.revoked_reason === 'Rotated') {
+        await revokeAllSessions(existing.employee_id, 'Refresh token reuse');
+      }
+      throw new Error('Refresh token has been revoked');
+    }
+
+    throw new Error('Refresh token has expired');
+  }
+
+  const employee = await Employee.findById(stored.employee_id)
+    .select('-password')
+    .populate('branch_id', 'branch_id bname');
+
+  if (!employee || employee.status !== 'Active') {
+    stored.revoked_reason = 'Account inactive';
+    await stored.save();
+    throw new Error('Account is inactive');
+  }
+
+  const tokens = await issueTokens(employee, ip);
+
+  stored.replaced_by = hashToken(tokens.refresh_token);
+  await stored.save();
+
+  return { employee, ...tokens };
+};
+
+// Revoke one refresh token; resolves to the revoked token, or null if it was
+// unknown or already revoked
+export const revokeRefreshToken = async (token, reason = 'Logout') => RefreshToken.findOneAndUpdate(
+  { token_hash: hashToken(token || ''), revoked_at: null },
+  { revoked_at: new Date(), revoked_reason: reason },
+  { new: true }
+);
@@ -0,0 +1,103 @@
+import Account from "../models/account.js";
+import { getAccountsByCode, clearAccountCache } from "../Utils/accounting.js";
+import { paginate } from "../Utils/pagination.js";
+
+// @desc    Get chart of accounts
+// @route   GET /api/accounts
+export const getAccounts = async (req, res) => {
+  try {
+    const { type, active } = req.query;
+    const filter = {};
+
+    if (type) filter.type = type;
+    if (active) filter.active = active === 'true';
+
+    // Seed the default chart on first use
+    await getAccountsByCode();
+
+    const query = Account.find(filter).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create an account
+// @route   POST /api/accounts
+export const createAccount = async (req, res) => {
+  try {
+    const { code, name, type, description } = req.body;
+
+    const existing = await Account.findOne({ code });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "Account code already exists"
+      });
+    }
+
+    const account = await Account.create({ code, name, type, description });
+    clearAccountCache();
+
+    res.status(201).json({
+      success: true,
+      data: account
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update account name, description or status
+// @route   PUT /api/accounts/:id
+export const updateAccount = async (req, res) => {
+  try {
+    // Code and type are fixed once lines may have been posted
+    const { code, type, is_system, ...updateData } = req.body;
+
+    const account = await Account.findOne({
+      $or: [
+        { _id: req.params.id },
+        { code: req.params.id }
+      ]
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: "Account not found"
+      });
+    }
+
+    if (account.is_system && updateData.active === false) {
+      throw new Error('System accounts cannot be deactivated');
+    }
+
+    Object.assign(account, updateData);
+    await account.save();
+    clearAccountCache();
+
+    res.json({
+      success: true,
+      data: account
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,352 @@
+import mongoose from "mongoose";
+import Auction from "../models/auction.js";
+import Group from "../models/group.js";
+import Member from "../models/member.js";
+import Payout from "../models/payout.js";
+import Scheme from "../models/scheme.js";
+import { distributeDividend } from "../Utils/dividend.js";
+import { calculatePayout } from "../Utils/payoutCalculation.js";
+import { paginate } from "../Utils/pagination.js";
+import { scopeByGroup, isBranchInScope } from "../Utils/branchScope.js";
+
+// Filter for an auction by _id or auction_id within the caller's branches
+const auctionFilter = (req, filter = {}) => scopeByGroup(req, {
+  $or: [
+    { _id: req.params.id },
+    { auction_id: req.params.id }
+  ],
+  ...filter
+});
+
+// @desc    Open an auction for a group's current month
+// @route   POST /api/auctions
+export const openAuction = async (req, res) => {
+  try {
+    const { group_id, remarks } = req.body;
+
+    const group = await Group.findById(group_id).populate('scheme_id', 'chit_amount duration_months');
+    if (!group) throw new Error('Group not found');
+
+    if (!(await isBranchInScope(req, group.branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    if (group.status !== 'Active') {
+      throw new Error('Auctions can only be opened for active groups');
+    }
+
+    const existing = await Auction.findOne({
+      group_id: group._id,
+      month_number: group.current_month,
+      status: { $ne: 'Cancelled' }
+    });
+
+    if (existing) {
+      throw new Error(`An auction already exists for month ${group.current_month} of this group`);
+    }
+
+    if (!group.members.some(m => !m.payout_received)) {
+      throw new Error('No eligible members left to bid in this group');
+    }
+
+    const auction = await Auction.create({
+      group_id: group._id,
+      month_number: group.current_month,
+      chit_amount: group.scheme_id.chit_amount,
+      opened_by: req.employee._id,
+      remarks
+    });
+
+    res.status(201).json({
+      success: true,
+      data: auction
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get all auctions
+// @route   GET /api/auctions
+export const getAuctions = async (req, res) => {
+  try {
+    const { group_id, status, month_number, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (group_id) filter.group_id = group_id;
+    if (status) filter.status = status;
+    if (month_number) filter.month_number = month_number;
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.opened_at = {};
+      if (startDate) filter.opened_at.$gte = new Date(startDate);
+      if (endDate) filter.opened_at.$lte = new Date(endDate);
+    }
+
+    const query = Auction.find(await scopeByGroup(req, filter))
+      .populate('group_id', 'group_id')
+      .populate('winner_id', 'member_id mem_name')
+      .populate('opened_by', 'emp_id emp_name')
+      .sort({ opened_at: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get auction by ID
+// @route   GET /api/auctions/:id
+export const getAuctionById = async (req, res) => {
+  try {
+    const auction = await Auction.findOne(await auctionFilter(req))
+      .populate('group_id', 'group_id current_month')
+      .populate('bids.member_id', 'member_id mem_name')
+      .populate('bids.placed_by', 'emp_id emp_name')
+      .populate('winner_id', 'member_id mem_name phone')
+      .populate('payout_id', 'payout_id payout_amount status')
+      .populate('opened_by', 'emp_id emp_name')
+      .populate('closed_by', 'emp_id emp_name');
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: "Auction not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: auction
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Place a discount bid on behalf of a member
+// @route   POST /api/auctions/:id/bids
+export const placeBid = async (req, res) => {
+  try {
+    const { member_id, discount_amount } = req.body;
+
+    const auction = await Auction.findOne(await auctionFilter(req));
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: "Auction not found"
+      });
+    }
+
+    const member = await Member.findById(member_id);
+    if (!member) throw new Error('Member not found');
+
+    // Only members of the group who have not yet been paid out may bid
+    const group = await Group.findById(auction.group_id);
+    const slot = group.members.find(m => m.member_id.equals(member._id));
+    if (!slot) throw new Error('Member does not belong to this group');
+    if (slot.payout_received) throw new Error('Member has already received a payout');
+
+    const discount = Number(discount_amount);
+    if (!(discount > 0) || discount >= auction.chit_amount) {
+      throw new Error(`Discount must be greater than 0 and less than ${auction.chit_amount}`);
+    }
+
+    // Open and outbid in one write, so a concurrent bid or close cannot slip in between
+    const updated = await Auction.findOneAndUpdate(
+      { _id: auction._id, status: 'Open', 'bids.discount_amount': { $not: { $gte: discount } } },
+      {
+        $push: {
+          bids: {
+            member_id: member._id,
+            discount_amount: discount,
+            placed_by: req.employee._id,
+            bid_time: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const current = await Auction.findById(auction._id);
+      const highest = current.getHighestBid();
+      return res.status(409).json({
+        success: false,
+        message: current.status !== 'Open'
+          ? "Auction is not open for bidding"
+          : `Bid must exceed the current highest discount of ${highest.discount_amount}`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: updated,
+      message: "Bid placed successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Close auction, declare winner and create the payout
+// @route   POST /api/auctions/:id/close
+export const closeAuction = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    let auction;
+    let payout;
+    let dividend;
+    await session.withTransaction(async () => {
+      auction = await Auction.findOne(await auctionFilter(req)).session(session);
+      if (!auction) return;
+
+      const winningBid = auction.getHighestBid();
+      if (!winningBid) {
+        throw new Error('Cannot close an auction with no bids');
+      }
+
+      // Claim the auction first so a concurrent close of the same auction
+      // conflicts here instead of creating a second payout
+      const claimed = await Auction.findOneAndUpdate(
+        { _id: auction._id, status: 'Open' },
+        {
+          status: 'Closed',
+          winner_id: winningBid.member_id,
+          winning_discount: winningBid.discount_amount,
+          closed_by: req.employee._id,
+          closed_at: new Date()
+        },
+        { new: true, session }
+      );
+      if (!claimed) {
+        throw new Error('Auction is not open');
+      }
+      auction = claimed;
+
+      const group = await Group.findById(auction.group_id).session(session);
+      const slot = group.members.find(m => m.member_id.equals(winningBid.member_id));
+      if (!slot || slot.payout_received) {
+        throw new Error('Winning member is no longer eligible for a payout');
+      }
+
+      // Prize money is the chit less the winning discount, with fees per the scheme
+      const scheme = await Scheme.findById(group.scheme_id).session(session);
+      const breakdown = calculatePayout({ ...scheme.toObject(), chit_amount: auction.chit_amount }, {
+        discount: winningBid.discount_amount,
+        discount_source: 'Auction',
+        auction_id: auction._id
+      });
+
+      [payout] = await Payout.create([{
+        group_id: auction.group_id,
+        month_number: auction.month_number,
+        member_id: winningBid.member_id,
+        payout_amount: breakdown.computed_amount,
+        processing_fee: breakdown.computed_fee,
+        breakdown,
+        status: 'Pending'
+      }], { session });
+
+      // Winner is no longer eligible in later auctions
+      slot.payout_received = true;
+      await group.save({ session });
+
+      auction.payout_id = payout._id;
+      await auction.save({ session });
+
+      // Discount less foreman commission goes back to the members
+      dividend = await distributeDividend(auction, group, scheme, { session });
+    });
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: "Auction not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        auction,
+        payout,
+        dividend: {
+          commission: dividend.commission,
+          pool: dividend.pool,
+          per_member: dividend.perMember,
+          remainder: dividend.remainder,
+          count: dividend.dividends.length
+        }
+      },
+      message: "Auction closed successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Cancel an open auction
+// @route   POST /api/auctions/:id/cancel
+export const cancelAuction = async (req, res) => {
+  try {
+    const auction = await Auction.findOneAndUpdate(
+      await auctionFilter(req, { status: 'Open' }), // Only cancel open auctions
+      {
+        status: 'Cancelled',
+        closed_by: req.employee._id,
+        closed_at: new Date(),
+        remarks: req.body.remarks || 'Auction cancelled'
+      },
+      { new: true }
+    );
+
+    if (!auction) {
+      return res.status(404).json({
+        success: false,
+        message: "Open auction not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: auction,
+      message: "Auction cancelled successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/auditLog.js";
+import Employee from "../models/employee.js";
+import { paginate } from "../Utils/pagination.js";
+
+// @desc    Query the audit trail
+// @route   GET /api/audit-logs
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { entity, entity_id, employee, action, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (entity) filter.entity = entity;
+    if (action) filter.action = action;
+
+    // Entity can be given by _id or by its readable id (MEM001, TXN001, ...)
+    if (entity_id) {
+      filter.$or = mongoose.Types.ObjectId.isValid(entity_id)
+        ? [{ entity_id }, { entity_ref: entity_id }]
+        : [{ entity_ref: entity_id }];
+    }
+
+    if (employee) {
+      const emp = await Employee.findOne({
+        $or: mongoose.Types.ObjectId.isValid(employee)
+          ? [{ _id: employee }, { emp_id: employee }]
+          : [{ emp_id: employee }]
+      });
+      if (!emp) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found"
+        });
+      }
+      filter.employee_id = emp._id;
+    }
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.timestamp = {};
+      if (startDate) filter.timestamp.$gte = new Date(startDate);
+      if (endDate) filter.timestamp.$lte = new Date(endDate);
+    }
+
+    const query = AuditLog.find(filter)
+      .populate('employee_id', 'emp_id emp_name role')
+      .populate('member_id', 'member_id mem_name')
+      .sort({ timestamp: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a single audit entry
+// @route   GET /api/audit-logs/:id
+export const getAuditLogById = async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('employee_id', 'emp_id emp_name role')
+      .populate('member_id', 'member_id mem_name');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: "Audit entry not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
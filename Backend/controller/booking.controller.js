@@ -2,6 +2,14 @@ import Booking from "../models/booking.js";
 import Member from "../models/member.js";
 import Group from "../models/group.js";
 import mongoose from "mongoose";
+import { scopeByBranch, scopeByGroup, isBranchInScope } from "../Utils/branchScope.js";
+import { paginate } from "../Utils/pagination.js";
+import { pickEditable } from "../Utils/financialLock.js";
+
+// What a booking request may carry besides member, group and month.
+// Staff may also charge a booking fee; members booking through the portal may not.
+const BOOKING_REQUEST_FIELDS = ['remarks'];
+const STAFF_BOOKING_FIELDS = [...BOOKING_REQUEST_FIELDS, 'booking_fee'];
 
 // Helper function to validate references
 const validateReferences = async (member_id, group_id) => {
@@ -22,9 +30,25 @@ export const createBooking = async (req, res) => {
   try {
     const { member_id, group_id, preferred_month, ...bookingData } = req.body;
 
+    const allowed = req.employee ? STAFF_BOOKING_FIELDS : BOOKING_REQUEST_FIELDS;
+    const { data: requestData, rejected } = pickEditable(bookingData, allowed);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only member_id, group_id, preferred_month and ${allowed.join(', ')} can be set, not ${rejected.join(', ')}`
+      });
+    }
+
     // Validate references
     const { group } = await validateReferences(member_id, group_id);
 
+    if (!(await isBranchInScope(req, group.branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Verify member belongs to group
     if (!group.members.some(m => m.member_id.equals(member_id))) {
       throw new Error('Member does not belong to this group');
@@ -37,7 +61,7 @@ export const createBooking = async (req, res) => {
 
     // Create the booking
     const booking = await Booking.create({
-      ...bookingData,
+      ...requestData,
       member_id,
       group_id,
       preferred_month,
@@ -86,19 +110,18 @@ export const getBookings = async (req, res) => {
       if (endDate) filter.booked_at.$lte = new Date(endDate);
     }
 
-    const bookings = await Booking.find(filter)
+    const query = Booking.find(await scopeByGroup(req, filter))
       .populate('member_id', 'member_id mem_name')
       .populate('group_id', 'group_id group_name')
       .sort({ booked_at: -1 });
 
     res.json({
       success: true,
-      count: bookings.length,
-      data: bookings
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -109,12 +132,12 @@ export const getBookings = async (req, res) => {
 // @route   GET /api/bookings/:id
 export const getBookingById = async (req, res) => {
   try {
-    const booking = await Booking.findOne({
+    const booking = await Booking.findOne(await scopeByGroup(req, {
       $or: [
         { _id: req.params.id },
         { booking_id: req.params.id }
       ]
-    })
+    }))
     .populate('member_id', 'member_id mem_name')
     .populate('group_id', 'group_id group_name');
 
@@ -150,13 +173,13 @@ export const confirmBooking = async (req, res) => {
     }
 
     const booking = await Booking.findOneAndUpdate(
-      { 
+      await scopeByGroup(req, { 
         $or: [
           { _id: req.params.id },
           { booking_id: req.params.id }
         ],
         status: 'Pending' // Only confirm pending bookings
-      },
+      }),
       { 
         status: 'Confirmed',
         confirmed_month
@@ -192,13 +215,13 @@ export const confirmBooking = async (req, res) => {
 export const rejectBooking = async (req, res) => {
   try {
     const booking = await Booking.findOneAndUpdate(
-      { 
+      await scopeByGroup(req, { 
         $or: [
           { _id: req.params.id },
           { booking_id: req.params.id }
         ],
         status: 'Pending' // Only reject pending bookings
-      },
+      }),
       { 
         status: 'Rejected'
       },
@@ -245,7 +268,7 @@ export const getBookingStats = async (req, res) => {
     }
 
     const stats = await Booking.aggregate([
-      { $match: match },
+      { $match: await scopeByGroup(req, match) },
       { 
         $group: {
           _id: {
@@ -312,12 +335,12 @@ export const getBookingStats = async (req, res) => {
 // @route   GET /api/members/:member_id/bookings
 export const getMemberBookings = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.member_id },
         { member_id: req.params.member_id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -326,17 +349,17 @@ export const getMemberBookings = async (req, res) => {
       });
     }
 
-    const bookings = await Booking.find({ member_id: member._id })
+    const query = Booking.find({ member_id: member._id })
       .populate('group_id', 'group_id group_name')
       .sort({ booked_at: -1 });
 
     res.json({
       success: true,
-      data: bookings
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
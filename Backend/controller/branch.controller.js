@@ -1,9 +1,11 @@
 import Branch from "../models/branch.js";
+import { findBranch, validatePlacement, reparentBranch, buildTree } from "../Utils/branchTree.js";
+import { paginate } from "../Utils/pagination.js";
 
 // Create a new branch
 export const createBranch = async (req, res) => {
     try {
-        const { bname, parent_id, start_date, status } = req.body;
+        const { bname, parent_id, level, start_date, status } = req.body;
         
         // Check if branch name already exists
         const existingBranch = await Branch.findOne({ bname });
@@ -11,9 +13,22 @@ export const createBranch = async (req, res) => {
             return res.status(400).json({ message: "Branch name already exists" });
         }
 
+        const parent = await findBranch(parent_id);
+        if (parent_id && !parent) {
+            return res.status(400).json({ message: "Parent branch not found" });
+        }
+
+        try {
+            await validatePlacement(null, parent, level);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
         const newBranch = new Branch({
             bname,
-            parent_id,
+            parent_id: parent ? parent._id : null,
+            ancestors: parent ? [...parent.ancestors, parent._id] : [],
+            level,
             start_date,
             status
         });
@@ -28,10 +43,10 @@ export const createBranch = async (req, res) => {
 // Get all branches
 export const getBranches = async (req, res) => {
     try {
-        const branches = await Branch.find();
-        res.status(200).json(branches);
+        const query = Branch.find().sort({ branch_id: 1 });
+        res.status(200).json({ success: true, ...(await paginate(req, query)) });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.status || 500).json({ message: error.message });
     }
 };
 
@@ -48,10 +63,57 @@ export const getBranchById = async (req, res) => {
     }
 };
 
+// Get the branch hierarchy, optionally below one node
+export const getBranchTree = async (req, res) => {
+    try {
+        let rootId = null;
+        if (req.query.root) {
+            const root = await findBranch(req.query.root);
+            if (!root) {
+                return res.status(404).json({ message: "Branch not found" });
+            }
+            rootId = root._id;
+        }
+
+        const branches = await Branch.find().sort({ branch_id: 1 });
+        res.status(200).json(buildTree(branches, rootId));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Move a branch (and everything below it) under a new parent
+export const moveBranch = async (req, res) => {
+    try {
+        const { parent_id } = req.body;
+
+        const branch = await findBranch(req.params.id);
+        if (!branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        const parent = await findBranch(parent_id);
+        if (parent_id && !parent) {
+            return res.status(400).json({ message: "Parent branch not found" });
+        }
+
+        try {
+            await validatePlacement(branch, parent);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
+        const movedBranch = await reparentBranch(branch, parent);
+        res.status(200).json(movedBranch);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 // Update a branch
 export const updateBranch = async (req, res) => {
     try {
-        const { bname, parent_id, start_date, status } = req.body;
+        const { bname, parent_id, level, start_date, status } = req.body;
         
         // Check if new branch name already exists (if it's being changed)
         if (bname) {
@@ -64,16 +126,41 @@ export const updateBranch = async (req, res) => {
             }
         }
 
+        const branch = await Branch.findOne({ branch_id: req.params.id });
+        if (!branch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        // Re-parenting and level changes must keep the tree valid
+        let parent;
+        const moving = parent_id !== undefined;
+        if (moving) {
+            parent = await findBranch(parent_id);
+            if (parent_id && !parent) {
+                return res.status(400).json({ message: "Parent branch not found" });
+            }
+        } else {
+            parent = branch.parent_id ? await Branch.findById(branch.parent_id) : null;
+        }
+
+        if (moving || level) {
+            try {
+                await validatePlacement(branch, parent, level);
+            } catch (error) {
+                return res.status(400).json({ message: error.message });
+            }
+        }
+
+        if (moving && String(parent?._id || null) !== String(branch.parent_id || null)) {
+            await reparentBranch(branch, parent);
+        }
+
         const updatedBranch = await Branch.findOneAndUpdate(
             { branch_id: req.params.id },
-            { bname, parent_id, start_date, status },
+            { bname, level, start_date, status },
             { new: true, runValidators: true }
         );
 
-        if (!updatedBranch) {
-            return res.status(404).json({ message: "Branch not found" });
-        }
-
         res.status(200).json(updatedBranch);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -106,10 +193,10 @@ export const deleteBranch = async (req, res) => {
 export const getBranchesByStatus = async (req, res) => {
     try {
         const { status } = req.params;
-        const branches = await Branch.find({ status });
-        res.status(200).json(branches);
+        const query = Branch.find({ status }).sort({ branch_id: 1 });
+        res.status(200).json({ success: true, ...(await paginate(req, query)) });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.status || 500).json({ message: error.message });
     }
 };
 
@@ -122,15 +209,15 @@ export const searchBranches = async (req, res) => {
             return res.status(400).json({ message: "Search query is required" });
         }
 
-        const branches = await Branch.find({
+        const branches = Branch.find({
             $or: [
                 { bname: { $regex: query, $options: 'i' } },
                 { branch_id: { $regex: query, $options: 'i' } }
             ]
-        });
+        }).sort({ branch_id: 1 });
 
-        res.status(200).json(branches);
+        res.status(200).json({ success: true, ...(await paginate(req, branches)) });
     } catch (error) {
-        res.status(500).json({ message: error.message });
+        res.status(error.status || 500).json({ message: error.message });
     }
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+import Dividend from "../models/dividend.js";
+import Member from "../models/member.js";
+import { paginate } from "../Utils/pagination.js";
+import { scopeByBranch, scopeByGroup } from "../Utils/branchScope.js";
+
+// @desc    Get all dividend lines
+// @route   GET /api/dividends
+export const getDividends = async (req, res) => {
+  try {
+    const { group_id, member_id, auction_id, status, month_number } = req.query;
+    const filter = {};
+
+    if (group_id) filter.group_id = group_id;
+    if (member_id) filter.member_id = member_id;
+    if (auction_id) filter.auction_id = auction_id;
+    if (status) filter.status = status;
+    if (month_number) filter.month_number = month_number;
+
+    const query = Dividend.find(await scopeByGroup(req, filter))
+      .populate('group_id', 'group_id')
+      .populate('member_id', 'member_id mem_name')
+      .populate('auction_id', 'auction_id winning_discount')
+      .populate('installment_id', 'installment_id installment_period amount')
+      .sort({ month_number: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get member dividends
+// @route   GET /api/dividends/members/:member_id/dividends
+export const getMemberDividends = async (req, res) => {
+  try {
+    const member = await Member.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.member_id },
+        { member_id: req.params.member_id }
+      ]
+    }));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    const dividends = await Dividend.find(await scopeByGroup(req, { member_id: member._id }))
+      .populate('group_id', 'group_id')
+      .populate('installment_id', 'installment_id installment_period amount')
+      .sort({ month_number: -1 });
+
+    const totalAmount = dividends.reduce((sum, d) => sum + d.amount, 0);
+
+    res.json({
+      success: true,
+      data: {
+        member_id: member.member_id,
+        mem_name: member.mem_name,
+        total_amount: totalAmount,
+        dividends
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,13 @@
 import Employee from "../models/employee.js";
 import Branch from "../models/branch.js";
-import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshToken.js";
 import mongoose from "mongoose";
+import { issueTokens, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from '../Utils/tokens.js';
 import { uploadImage, getImage, deleteImage } from '../Utils/gridFS.js';
 import multer from 'multer';
+import { paginate } from '../Utils/pagination.js';
+import { scopeByBranch, isBranchInScope } from '../Utils/branchScope.js';
+import { getRolePermissions, hasPermission, coversPermissions } from '../Utils/permissions.js';
 
 
 
@@ -36,7 +40,7 @@ export const uploadEmployeePhoto = [
       }
 
       // Get the employee first to check for existing photo
-      const employee = await Employee.findById(req.params.id);
+      const employee = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }));
       if (!employee) {
         return res.status(404).json({
           success: false,
@@ -75,7 +79,7 @@ export const uploadEmployeePhoto = [
 // @route   GET /api/employees/:id/photo
 export const getEmployeePhoto = async (req, res) => {
   try {
-    const employee = await Employee.findById(req.params.id);
+    const employee = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }));
     
     if (!employee || !employee.photo) {
       return res.status(404).json({
@@ -102,13 +106,6 @@ export const getEmployeePhoto = async (req, res) => {
     });
   }
 };
-// Helper function to generate token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "2hrs",
-  });
-};
-
 // Helper to normalize branch reference
 const normalizeBranch = async (branchRef) => {
   if (mongoose.Types.ObjectId.isValid(branchRef)) {
@@ -192,6 +189,8 @@ export const authEmployee = async (req, res) => {
       });
     }
 
+    const { token, refresh_token } = await issueTokens(employee, req.ip);
+
     res.json({
       success: true,
       data: {
@@ -201,7 +200,8 @@ export const authEmployee = async (req, res) => {
         email: employee.email,
         role: employee.role,
         branch: employee.branch_id,
-        token: generateToken(employee._id)
+        token,
+        refresh_token
       }
     });
 
@@ -213,27 +213,126 @@ export const authEmployee = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/employees/refresh
+export const refreshEmployeeToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required"
+      });
+    }
+
+    const { employee, token, refresh_token: newRefreshToken } =
+      await rotateRefreshToken(refresh_token, req.ip);
+
+    res.json({
+      success: true,
+      data: {
+        _id: employee._id,
+        emp_id: employee.emp_id,
+        role: employee.role,
+        token,
+        refresh_token: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Logout (revoke refresh token)
+// @route   POST /api/employees/logout
+// The refresh token is the credential here, so logout still works once the
+// short-lived access token has expired
+export const logoutEmployee = async (req, res) => {
+  try {
+    const { refresh_token, all_sessions } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: "Refresh token is required"
+      });
+    }
+
+    const revoked = await revokeRefreshToken(refresh_token);
+    if (!revoked) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or already revoked refresh token"
+      });
+    }
+
+    // Signing out everywhere also kills outstanding access tokens
+    if (all_sessions) {
+      await revokeAllSessions(revoked.employee_id, 'Logout');
+    }
+
+    res.json({
+      success: true,
+      message: "Logged out successfully"
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke all sessions of an employee (Admin only)
+// @route   POST /api/employees/:id/revoke-sessions
+export const revokeEmployeeSessions = async (req, res) => {
+  try {
+    const employee = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }));
+
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found"
+      });
+    }
+
+    await revokeAllSessions(employee._id, 'Revoked by admin');
+
+    res.json({
+      success: true,
+      message: "All sessions revoked"
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get all employees (Manager+)
 // @route   GET /api/employees
 export const getEmployees = async (req, res) => {
   try {
-    // Admins see all, managers see only their branch
-    const filter = req.employee.role === 'Admin' ? {} : { 
-      branch_id: req.employee.branch_id 
-    };
-
-    const employees = await Employee.find(filter)
+    // Limited to the employee's branches unless they hold branch:all
+    const query = Employee.find(await scopeByBranch(req))
       .select('-password')
       .populate('branch_id', 'branch_id bname');
 
     res.json({
       success: true,
-      count: employees.length,
-      data: employees
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       message: error.message 
     });
@@ -244,27 +343,24 @@ export const getEmployees = async (req, res) => {
 // @route   GET /api/employees/branch/:branchId
 export const getEmployeesByBranch = async (req, res) => {
   try {
-    // Admins can access any branch, managers only their own
-    if (req.employee.role === 'Manager' && 
-        !req.employee.branch_id.equals(req.params.branchId)) {
+    if (!(await isBranchInScope(req, req.params.branchId))) {
       return res.status(403).json({ 
         success: false,
         message: "Not authorized for this branch" 
       });
     }
 
-    const employees = await Employee.find({ branch_id: req.params.branchId })
+    const query = Employee.find({ branch_id: req.params.branchId })
       .select('-password')
       .populate('branch_id', 'branch_id bname');
 
     res.json({
       success: true,
-      count: employees.length,
-      data: employees
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       message: error.message 
     });
@@ -275,16 +371,7 @@ export const getEmployeesByBranch = async (req, res) => {
 // @route   GET /api/employees/:id
 export const getEmployeeById = async (req, res) => {
   try {
-    // Employees can only view their own profile unless Manager/Admin
-    if (req.employee.role === 'Employee' && 
-        !req.employee._id.equals(req.params.id)) {
-      return res.status(403).json({ 
-        success: false,
-        message: "Not authorized" 
-      });
-    }
-
-    const employee = await Employee.findById(req.params.id)
+    const employee = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }))
       .select('-password')
       .populate('branch_id', 'branch_id bname');
 
@@ -333,29 +420,35 @@ export const getEmployeeProfile = async (req, res) => {
 // @route   PUT /api/employees/:id
 export const updateEmployee = async (req, res) => {
   try {
-    // Employees can only update their own profile
-    if (req.employee.role === 'Employee' && 
-        !req.employee._id.equals(req.params.id)) {
-      return res.status(403).json({ 
-        success: false,
-        message: "Not authorized" 
-      });
-    }
+    // Roles change through PUT /:id/role; branch moves are not done here
+    const { password, role, branch_id, token_version, ...updateData } = req.body;
 
-    const { password, role, branch_id, ...updateData } = req.body;
+    // (De)activating an account is as sensitive as deleting it
+    const granted = await getRolePermissions(req.employee.role);
+    if (!hasPermission(granted, 'employee:delete')) {
+      delete updateData.status;
+    }
 
-    // Prevent non-admins from updating sensitive fields
-    if (req.employee.role !== 'Admin') {
-      if (role) delete updateData.role;
-      if (branch_id) delete updateData.branch_id;
+    const previous = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }));
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Employee not found" 
+      });
     }
 
-    const updatedEmployee = await Employee.findByIdAndUpdate(
-      req.params.id,
+    let updatedEmployee = await Employee.findByIdAndUpdate(
+      previous._id,
       updateData,
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Deactivation logs the employee out everywhere
+    if (updateData.status && updateData.status !== previous.status) {
+      await revokeAllSessions(previous._id, `Status changed to ${updateData.status}`);
+      updatedEmployee = await Employee.findById(previous._id).select('-password');
+    }
+
     res.json({
       success: true,
       data: updatedEmployee
@@ -373,7 +466,7 @@ export const updateEmployee = async (req, res) => {
 // @route   PUT /api/employees/profile
 export const updateEmployeeProfile = async (req, res) => {
   try {
-    const { password, ...updateData } = req.body;
+    const { password, role, status, branch_id, token_version, ...updateData } = req.body;
 
     const updatedEmployee = await Employee.findByIdAndUpdate(
       req.employee._id,
@@ -400,29 +493,52 @@ export const updateEmployeeRole = async (req, res) => {
   try {
     const { role } = req.body;
 
-    // Managers can't assign Admin role or modify other managers
-    if (req.employee.role === 'Manager') {
-      if (role === 'Admin') {
-        return res.status(403).json({ 
-          success: false,
-          message: "Not authorized to assign admin role" 
-        });
-      }
+    if (req.employee._id.equals(req.params.id)) {
+      return res.status(403).json({ 
+        success: false,
+        message: "Cannot change your own role" 
+      });
+    }
 
-      const targetEmployee = await Employee.findById(req.params.id);
-      if (targetEmployee?.role === 'Manager') {
-        return res.status(403).json({ 
-          success: false,
-          message: "Not authorized to modify other managers" 
-        });
-      }
+    const previous = await Employee.findOne(await scopeByBranch(req, { _id: req.params.id }));
+    if (!previous) {
+      return res.status(404).json({ 
+        success: false,
+        message: "Employee not found" 
+      });
     }
 
-    const updatedEmployee = await Employee.findByIdAndUpdate(
-      req.params.id,
+    // Nobody can hand out access they do not hold themselves
+    const granted = await getRolePermissions(req.employee.role);
+    if (!coversPermissions(granted, await getRolePermissions(role))) {
+      return res.status(403).json({ 
+        success: false,
+        message: `Not authorized to assign the ${role} role` 
+      });
+    }
+
+    // nor change the role of someone with the same access or more, unless they hold everything
+    const targetGranted = await getRolePermissions(previous.role);
+    if (!coversPermissions(granted, targetGranted) ||
+        (!granted.includes('*') && coversPermissions(targetGranted, granted))) {
+      return res.status(403).json({ 
+        success: false,
+        message: `Not authorized to change the role of a ${previous.role}` 
+      });
+    }
+
+    await Employee.findByIdAndUpdate(
+      previous._id,
       { role },
-      { new: true }
-    ).select('-password');
+      { new: true, runValidators: true }
+    );
+
+    // Tokens issued under the old role must not keep working
+    if (role !== previous.role) {
+      await revokeAllSessions(previous._id, 'Role changed');
+    }
+
+    const updatedEmployee = await Employee.findById(previous._id).select('-password');
 
     res.json({
       success: true,
@@ -449,7 +565,7 @@ export const deleteEmployee = async (req, res) => {
       });
     }
 
-    const deletedEmployee = await Employee.findByIdAndDelete(req.params.id);
+    const deletedEmployee = await Employee.findOneAndDelete(await scopeByBranch(req, { _id: req.params.id }));
 
     if (!deletedEmployee) {
       return res.status(404).json({ 
@@ -458,6 +574,8 @@ export const deleteEmployee = async (req, res) => {
       });
     }
 
+    await RefreshToken.deleteMany({ employee_id: deletedEmployee._id });
+
     res.json({
       success: true,
       data: { _id: deletedEmployee._id }
@@ -478,11 +596,6 @@ export const searchEmployees = async (req, res) => {
     const { q } = req.query;
     let filter = {};
 
-    // Managers can only search in their branch
-    if (req.employee.role === 'Manager') {
-      filter.branch_id = req.employee.branch_id;
-    }
-
     if (q) {
       filter.$or = [
         { emp_name: { $regex: q, $options: 'i' } },
@@ -491,18 +604,17 @@ export const searchEmployees = async (req, res) => {
       ];
     }
 
-    const employees = await Employee.find(filter)
+    const query = Employee.find(await scopeByBranch(req, filter))
       .select('-password')
       .populate('branch_id', 'branch_id bname');
 
     res.json({
       success: true,
-      count: employees.length,
-      data: employees
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       message: error.message 
     });
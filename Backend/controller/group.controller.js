@@ -2,6 +2,18 @@ import Group from "../models/group.js";
 import Branch from "../models/branch.js";
 import Scheme from "../models/scheme.js";
 import Member from "../models/member.js";
+import TicketTransfer from "../models/ticketTransfer.js";
+import mongoose from "mongoose";
+import { generateInstallmentSchedule } from "../Utils/installmentSchedule.js";
+import { scopeByBranch, isBranchInScope } from "../Utils/branchScope.js";
+import { paginate } from "../Utils/pagination.js";
+import { transferTicket } from "../Utils/ticketTransfer.js";
+import { reviewGroupClosure, settleGroup } from "../Utils/groupClosure.js";
+import { buildClosurePdf } from "../Utils/groupClosurePdf.js";
+import { pickEditable } from "../Utils/financialLock.js";
+
+// Members, the current month and closure have their own endpoints and closeGroup
+const GROUP_EDITABLE_FIELDS = ['branch_id', 'scheme_id', 'start_date', 'status'];
 
 // Helper function to validate references
 const validateReferences = async (branchId, schemeId, memberIds = []) => {
@@ -30,6 +42,13 @@ export const createGroup = async (req, res) => {
     // Validate references
     await validateReferences(branch_id, scheme_id, members?.map(m => m.member_id));
 
+    if (!(await isBranchInScope(req, branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Create group
     const group = await Group.create({
       ...groupData,
@@ -62,19 +81,18 @@ export const getGroups = async (req, res) => {
     if (scheme_id) filter.scheme_id = scheme_id;
     if (status) filter.status = status;
 
-    const groups = await Group.find(filter)
+    const query = Group.find(await scopeByBranch(req, filter))
       .populate('branch_id', 'branch_id bname')
       .populate('scheme_id', 'scheme_id scheme_name')
       .populate('members.member_id', 'member_id mem_name');
 
     res.json({
       success: true,
-      count: groups.length,
-      data: groups
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -85,12 +103,12 @@ export const getGroups = async (req, res) => {
 // @route   GET /api/groups/:id
 export const getGroupById = async (req, res) => {
   try {
-    const group = await Group.findOne({
+    const group = await Group.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { group_id: req.params.id }
       ]
-    })
+    }))
     .populate('branch_id', 'branch_id bname')
     .populate('scheme_id', 'scheme_id scheme_name duration_months')
     .populate('members.member_id', 'member_id mem_name phone');
@@ -118,24 +136,68 @@ export const getGroupById = async (req, res) => {
 // @desc    Update group basic info
 // @route   PUT /api/groups/:id
 export const updateGroup = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     // Prevent updating group_id
     if (req.body.group_id) {
       delete req.body.group_id;
     }
 
-    const group = await Group.findOneAndUpdate(
-      { 
-        $or: [
-          { _id: req.params.id },
-          { group_id: req.params.id }
-        ]
-      },
-      req.body,
-      { new: true, runValidators: true }
-    )
-    .populate('branch_id', 'branch_id bname')
-    .populate('scheme_id', 'scheme_id scheme_name');
+    const { data: updateData, rejected } = pickEditable(req.body, GROUP_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${GROUP_EDITABLE_FIELDS.join(', ')} can be updated (cannot change ${rejected.join(', ')})`
+      });
+    }
+
+    if (updateData.branch_id && !(await isBranchInScope(req, updateData.branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const previous = await Group.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.id },
+        { group_id: req.params.id }
+      ]
+    }));
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found"
+      });
+    }
+
+    // Activation is the only status change made here; completion goes through closeGroup
+    if (updateData.status && updateData.status !== previous.status &&
+        !(previous.status === 'Forming' && updateData.status === 'Active')) {
+      return res.status(400).json({
+        success: false,
+        message: `Group status cannot change from ${previous.status} to ${updateData.status}`
+      });
+    }
+
+    // Activation and its installment schedule commit together or not at all
+    let group;
+    let installmentsCreated = 0;
+    await session.withTransaction(async () => {
+      installmentsCreated = 0;
+      group = await Group.findOneAndUpdate(
+        { _id: previous._id },
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+
+      if (group && previous.status === 'Forming' && group.status === 'Active') {
+        const scheme = await Scheme.findById(group.scheme_id).session(session);
+        const created = await generateInstallmentSchedule(group, scheme, { session });
+        installmentsCreated = created.length;
+      }
+    });
 
     if (!group) {
       return res.status(404).json({
@@ -144,9 +206,15 @@ export const updateGroup = async (req, res) => {
       });
     }
 
+    await group.populate([
+      { path: 'branch_id', select: 'branch_id bname' },
+      { path: 'scheme_id', select: 'scheme_id scheme_name' }
+    ]);
+
     res.json({
       success: true,
-      data: group
+      data: group,
+      installments_created: installmentsCreated
     });
 
   } catch (error) {
@@ -154,12 +222,15 @@ export const updateGroup = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
 // @desc    Add member to group
 // @route   POST /api/groups/:id/members
 export const addGroupMember = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
     const { member_id, payout_month } = req.body;
 
@@ -172,12 +243,12 @@ export const addGroupMember = async (req, res) => {
       });
     }
 
-    const group = await Group.findOne({
+    const group = await Group.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { group_id: req.params.id }
       ]
-    });
+    }));
 
     if (!group) {
       return res.status(404).json({
@@ -215,11 +286,23 @@ export const addGroupMember = async (req, res) => {
       group.status = 'Active';
     }
 
-    await group.save();
+    // Late joiners of an active group get their schedule straight away,
+    // in the same transaction as the join
+    let installmentsCreated = 0;
+    await session.withTransaction(async () => {
+      installmentsCreated = 0;
+      await group.save({ session });
+
+      if (group.status === 'Active') {
+        const created = await generateInstallmentSchedule(group, scheme, { session });
+        installmentsCreated = created.length;
+      }
+    });
 
     res.status(201).json({
       success: true,
-      data: group
+      data: group,
+      installments_created: installmentsCreated
     });
 
   } catch (error) {
@@ -227,6 +310,8 @@ export const addGroupMember = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -234,12 +319,12 @@ export const addGroupMember = async (req, res) => {
 // @route   DELETE /api/groups/:id/members/:memberId
 export const removeGroupMember = async (req, res) => {
   try {
-    const group = await Group.findOne({
+    const group = await Group.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { group_id: req.params.id }
       ]
-    });
+    }));
 
     if (!group) {
       return res.status(404).json({
@@ -284,16 +369,145 @@ export const removeGroupMember = async (req, res) => {
   }
 };
 
+// @desc    Transfer a member's ticket to another member
+// @route   POST /api/groups/:id/members/:memberId/transfer
+export const transferGroupMember = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const {
+      new_member_id, reason, remarks, settlement_amount, transfer_fee, payment_mode, reference_id,
+      arrears_payment_mode, arrears_reference_id
+    } = req.body;
+
+    if (!new_member_id) {
+      return res.status(400).json({
+        success: false,
+        message: "new_member_id is required"
+      });
+    }
+
+    let result = null;
+    let notFound = null;
+    await session.withTransaction(async () => {
+      const group = await Group.findOne(await scopeByBranch(req, {
+        $or: [
+          { _id: req.params.id },
+          { group_id: req.params.id }
+        ]
+      })).session(session);
+
+      const [fromMember, toMember] = await Promise.all([
+        Member.findById(req.params.memberId).session(session),
+        Member.findOne({
+          $or: [
+            { _id: new_member_id },
+            { member_id: new_member_id }
+          ]
+        }).session(session)
+      ]);
+
+      if (!group) notFound = "Group not found";
+      else if (!fromMember) notFound = "Member not found in group";
+      else if (!toMember) notFound = "Incoming member not found";
+      if (notFound) return;
+
+      result = await transferTicket({
+        group,
+        fromMember,
+        toMember,
+        reason,
+        remarks,
+        settlement_amount,
+        transfer_fee,
+        payment_mode,
+        reference_id,
+        arrears_payment_mode,
+        arrears_reference_id,
+        employee: req.employee,
+        session
+      });
+    });
+
+    if (notFound) {
+      return res.status(404).json({
+        success: false,
+        message: notFound
+      });
+    }
+
+    await result.transfer.populate([
+      { path: 'group_id', select: 'group_id' },
+      { path: 'from_member_id', select: 'member_id mem_name' },
+      { path: 'to_member_id', select: 'member_id mem_name' },
+      { path: 'settlement.transaction_id', select: 'transaction_id amount status' },
+      { path: 'arrears.transaction_id', select: 'transaction_id amount status' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: result.transfer,
+      ledger_entries: result.ledger_entries.length,
+      message: "Ticket transferred successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get ticket transfers of a group
+// @route   GET /api/groups/:id/transfers
+export const getGroupTransfers = async (req, res) => {
+  try {
+    const group = await Group.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.id },
+        { group_id: req.params.id }
+      ]
+    }));
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found"
+      });
+    }
+
+    const query = TicketTransfer.find({ group_id: group._id })
+      .populate('from_member_id', 'member_id mem_name')
+      .populate('to_member_id', 'member_id mem_name')
+      .populate('transferred_by', 'emp_id emp_name')
+      .populate('settlement.transaction_id', 'transaction_id amount status')
+      .sort({ transfer_date: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Advance group to next month
 // @route   POST /api/groups/:id/advance
 export const advanceGroupMonth = async (req, res) => {
   try {
-    const group = await Group.findOne({
+    const group = await Group.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { group_id: req.params.id }
       ]
-    }).populate('scheme_id', 'duration_months');
+    })).populate('scheme_id', 'duration_months');
 
     if (!group) {
       return res.status(404).json({
@@ -309,15 +523,11 @@ export const advanceGroupMonth = async (req, res) => {
       });
     }
 
-    // Check if already completed
+    // The last month ends through the closure workflow, which checks the accounts first
     if (group.current_month >= group.scheme_id.duration_months) {
-      group.status = 'Completed';
-      await group.save();
-      
-      return res.json({
-        success: true,
-        data: group,
-        message: "Group has completed its duration"
+      return res.status(400).json({
+        success: false,
+        message: "Group has reached the end of its duration; close it through POST /api/groups/:id/close"
       });
     }
 
@@ -339,16 +549,148 @@ export const advanceGroupMonth = async (req, res) => {
   }
 };
 
+// @desc    Close a group and settle its final accounts
+// @route   POST /api/groups/:id/close
+export const closeGroup = async (req, res) => {
+  const session = await mongoose.startSession();
+  try {
+    const { remarks, payment_mode, reference_id } = req.body;
+
+    let result = null;
+    await session.withTransaction(async () => {
+      const group = await Group.findOne(await scopeByBranch(req, {
+        $or: [
+          { _id: req.params.id },
+          { group_id: req.params.id }
+        ]
+      })).session(session);
+
+      if (!group) return;
+
+      if (group.closure?.closed_at) {
+        throw new Error('Group is already closed');
+      }
+
+      const scheme = await Scheme.findById(group.scheme_id).session(session);
+      result = await settleGroup(group, scheme, {
+        employee: req.employee,
+        remarks,
+        payment_mode,
+        reference_id,
+        session
+      });
+      result.group = group;
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found"
+      });
+    }
+
+    if (!result.closed) {
+      return res.status(400).json({
+        success: false,
+        message: "Group is not ready to close",
+        issues: result.issues
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        group_id: result.group.group_id,
+        status: result.group.status,
+        closure: result.group.closure
+      },
+      message: "Group closed successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get a group's closure report, or a readiness check if still open
+// @route   GET /api/groups/:id/closure
+export const getGroupClosure = async (req, res) => {
+  try {
+    const group = await Group.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.id },
+        { group_id: req.params.id }
+      ]
+    }))
+    .populate('branch_id', 'branch_id bname')
+    .populate('closure.closed_by', 'emp_id emp_name');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: "Group not found"
+      });
+    }
+
+    const { format = 'json' } = req.query;
+    if (!['pdf', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be pdf or json"
+      });
+    }
+
+    if (!group.closure?.closed_at) {
+      if (format === 'pdf') {
+        return res.status(400).json({
+          success: false,
+          message: "Group is not closed yet"
+        });
+      }
+
+      const scheme = await Scheme.findById(group.scheme_id);
+      const { ready, issues, summary } = await reviewGroupClosure(group, scheme);
+      return res.json({
+        success: true,
+        data: { closed: false, ready, issues, summary }
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { closed: true, ...group.closure.toObject() }
+      });
+    }
+
+    const pdf = await buildClosurePdf(group);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="closure-${group.group_id}.pdf"`);
+    res.send(pdf);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Delete group
 // @route   DELETE /api/groups/:id
 export const deleteGroup = async (req, res) => {
   try {
-    const group = await Group.findOneAndDelete({
+    const group = await Group.findOneAndDelete(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { group_id: req.params.id }
       ]
-    });
+    }));
 
     if (!group) {
       return res.status(404).json({
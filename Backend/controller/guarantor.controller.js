@@ -0,0 +1,418 @@
+import Guarantor, { GUARANTOR_DOCUMENT_TYPES } from "../models/guarantor.js";
+import Member from "../models/member.js";
+import Payout from "../models/payout.js";
+import multer from "multer";
+import { scopeByBranch } from "../Utils/branchScope.js";
+import { paginate } from "../Utils/pagination.js";
+import { pickEditable } from "../Utils/financialLock.js";
+import { uploadDocument, getFile, deleteFile, pipeFile, setDisposition } from "../Utils/gridFS.js";
+
+const GUARANTOR_EDITABLE_FIELDS = [
+  'name', 'relationship', 'mobile', 'address', 'uid', 'occupation',
+  'monthly_income', 'guarantor_member_id', 'payout_id', 'remarks'
+];
+
+// Changing any of these on a verified guarantor sends them back for verification.
+// A verification covers one payout, so moving to another payout counts too.
+const REVERIFY_FIELDS = ['name', 'relationship', 'mobile', 'address', 'uid', 'monthly_income', 'guarantor_member_id', 'payout_id'];
+
+// Configure multer for scanned documents
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed!'), false);
+    }
+  }
+});
+
+const findGuarantor = async (req) => Guarantor.findOne(await scopeByBranch(req, {
+  $or: [
+    { _id: req.params.id },
+    { guarantor_id: req.params.id }
+  ]
+}));
+
+// The payout must belong to the member being guaranteed
+const findMemberPayout = async (payoutRef, memberId) => Payout.findOne({
+  $or: [
+    { _id: payoutRef },
+    { payout_id: payoutRef }
+  ],
+  member_id: memberId
+});
+
+// The same person (uid) cannot stand guarantor twice for one payout
+const assertNewOnPayout = async (payoutId, uid, exceptId) => {
+  if (!payoutId || !uid) return;
+
+  const duplicate = await Guarantor.exists({
+    payout_id: payoutId,
+    uid,
+    status: { $ne: 'Rejected' },
+    ...(exceptId && { _id: { $ne: exceptId } })
+  });
+  if (duplicate) throw new Error('This person is already a guarantor for the payout');
+};
+
+// @desc    Register a guarantor for a member
+// @route   POST /api/guarantors
+export const createGuarantor = async (req, res) => {
+  try {
+    const { member_id, payout_id, guarantor_member_id, ...guarantorData } = req.body;
+
+    const member = await Member.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: member_id },
+        { member_id: member_id }
+      ]
+    }));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    if (guarantor_member_id && member._id.equals(guarantor_member_id)) {
+      throw new Error('A member cannot stand guarantor for themselves');
+    }
+
+    let payout = null;
+    if (payout_id) {
+      payout = await findMemberPayout(payout_id, member._id);
+      if (!payout) throw new Error('Payout not found for this member');
+    }
+
+    const { data } = pickEditable(guarantorData, GUARANTOR_EDITABLE_FIELDS);
+    await assertNewOnPayout(payout?._id, data.uid?.trim());
+
+    const guarantor = await Guarantor.create({
+      ...data,
+      member_id: member._id,
+      branch_id: member.branch_id,
+      payout_id: payout?._id,
+      guarantor_member_id,
+      created_by: req.employee._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: guarantor
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get guarantors with filters
+// @route   GET /api/guarantors
+export const getGuarantors = async (req, res) => {
+  try {
+    const { member_id, payout_id, status } = req.query;
+    const filter = {};
+
+    if (member_id) filter.member_id = member_id;
+    if (payout_id) filter.payout_id = payout_id;
+    if (status) filter.status = status;
+
+    const query = Guarantor.find(await scopeByBranch(req, filter))
+      .populate('member_id', 'member_id mem_name')
+      .populate('payout_id', 'payout_id month_number payout_amount status')
+      .populate('verified_by', 'emp_id emp_name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get single guarantor
+// @route   GET /api/guarantors/:id
+export const getGuarantorById = async (req, res) => {
+  try {
+    const guarantor = await findGuarantor(req);
+
+    if (!guarantor) {
+      return res.status(404).json({
+        success: false,
+        message: "Guarantor not found"
+      });
+    }
+
+    await guarantor.populate([
+      { path: 'member_id', select: 'member_id mem_name' },
+      { path: 'guarantor_member_id', select: 'member_id mem_name' },
+      { path: 'payout_id', select: 'payout_id month_number payout_amount status' },
+      { path: 'verified_by', select: 'emp_id emp_name' },
+      { path: 'created_by', select: 'emp_id emp_name' }
+    ]);
+
+    res.json({
+      success: true,
+      data: guarantor
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update guarantor details or attach them to a payout
+// @route   PUT /api/guarantors/:id
+export const updateGuarantor = async (req, res) => {
+  try {
+    const { data: updateData, rejected } = pickEditable(req.body, GUARANTOR_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${GUARANTOR_EDITABLE_FIELDS.join(', ')} can be updated`
+      });
+    }
+
+    const guarantor = await findGuarantor(req);
+
+    if (!guarantor) {
+      return res.status(404).json({
+        success: false,
+        message: "Guarantor not found"
+      });
+    }
+
+    if (updateData.guarantor_member_id && guarantor.member_id.equals(updateData.guarantor_member_id)) {
+      throw new Error('A member cannot stand guarantor for themselves');
+    }
+
+    if (updateData.payout_id) {
+      const payout = await findMemberPayout(updateData.payout_id, guarantor.member_id);
+      if (!payout) throw new Error('Payout not found for this member');
+      updateData.payout_id = payout._id;
+
+      // The guarantee stays with a payout that has been paid out on it
+      if (guarantor.payout_id && !guarantor.payout_id.equals(payout._id) &&
+          await Payout.exists({ _id: guarantor.payout_id, status: 'Paid' })) {
+        throw new Error('Guarantor of a paid payout cannot be moved to another payout');
+      }
+    }
+
+    guarantor.set(updateData);
+
+    if (guarantor.isModified('payout_id') || guarantor.isModified('uid')) {
+      await assertNewOnPayout(guarantor.payout_id, guarantor.uid, guarantor._id);
+    }
+
+    // New identity details or a new payout have to be checked again
+    if (guarantor.status === 'Verified' && REVERIFY_FIELDS.some(field => guarantor.isModified(field))) {
+      guarantor.status = 'Pending';
+      guarantor.verified_by = undefined;
+      guarantor.verified_at = undefined;
+    }
+
+    await guarantor.save();
+
+    res.json({
+      success: true,
+      data: guarantor
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Verify or reject a guarantor
+// @route   POST /api/guarantors/:id/verify
+export const verifyGuarantor = async (req, res) => {
+  try {
+    const { status, remarks } = req.body;
+
+    if (!['Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be Verified or Rejected"
+      });
+    }
+
+    const guarantor = await findGuarantor(req);
+
+    if (!guarantor) {
+      return res.status(404).json({
+        success: false,
+        message: "Guarantor not found"
+      });
+    }
+
+    if (status === 'Verified' && !guarantor.documents.some(d => d.doc_type === 'Income Proof')) {
+      throw new Error('Upload an income proof before verifying the guarantor');
+    }
+
+    if (status === 'Rejected' && (!remarks || remarks.trim() === '')) {
+      throw new Error('A reason is required to reject a guarantor');
+    }
+
+    guarantor.status = status;
+    guarantor.verified_by = req.employee._id;
+    guarantor.verified_at = new Date();
+    if (remarks) guarantor.remarks = remarks.trim();
+    await guarantor.save();
+
+    res.json({
+      success: true,
+      data: guarantor,
+      message: `Guarantor ${status.toLowerCase()} successfully`
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Upload a guarantor document (income proof, ID, address proof)
+// @route   POST /api/guarantors/:id/documents
+export const uploadGuarantorDocument = [
+  documentUpload.single('document'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload an image or PDF file"
+        });
+      }
+
+      const docType = req.body.doc_type || 'Income Proof';
+      if (!GUARANTOR_DOCUMENT_TYPES.includes(docType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Document type must be one of ${GUARANTOR_DOCUMENT_TYPES.join(', ')}`
+        });
+      }
+
+      const guarantor = await findGuarantor(req);
+      if (!guarantor) {
+        return res.status(404).json({
+          success: false,
+          message: "Guarantor not found"
+        });
+      }
+
+      const filename = await uploadDocument(req.file, `guarantor-${guarantor.guarantor_id}`);
+
+      guarantor.documents.push({
+        filename,
+        original_name: req.file.originalname,
+        content_type: req.file.mimetype,
+        doc_type: docType,
+        uploaded_by: req.employee._id
+      });
+      await guarantor.save();
+
+      res.status(201).json({
+        success: true,
+        data: guarantor.documents[guarantor.documents.length - 1]
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+];
+
+// @desc    Download a guarantor document
+// @route   GET /api/guarantors/:id/documents/:filename
+export const getGuarantorDocument = async (req, res) => {
+  try {
+    const guarantor = await findGuarantor(req);
+    const document = guarantor?.documents.find(d => d.filename === req.params.filename);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found"
+      });
+    }
+
+    const downloadStream = await getFile(document.filename);
+
+    if (!downloadStream) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found"
+      });
+    }
+
+    res.set('Content-Type', document.content_type || 'application/octet-stream');
+    setDisposition(res, document.original_name || document.filename);
+    pipeFile(downloadStream, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a guarantor document
+// @route   DELETE /api/guarantors/:id/documents/:filename
+export const deleteGuarantorDocument = async (req, res) => {
+  try {
+    const guarantor = await findGuarantor(req);
+    const document = guarantor?.documents.find(d => d.filename === req.params.filename);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found"
+      });
+    }
+
+    // Verification rested on the documents on file
+    if (guarantor.status === 'Verified') {
+      throw new Error('Documents of a verified guarantor cannot be removed');
+    }
+
+    guarantor.documents.pull(document._id);
+    await guarantor.save();
+    await deleteFile(document.filename);
+
+    res.json({
+      success: true,
+      message: "Document deleted successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -4,6 +4,40 @@ import Member from "../models/member.js";
 import Scheme from "../models/scheme.js";
 import Employee from "../models/employee.js";
 import Receipt from "../models/receipt.js";
+import Transaction from "../models/transaction.js";
+import mongoose from "mongoose";
+import { applyPendingDividends } from "../Utils/dividend.js";
+import { postTransaction } from "../Utils/accounting.js";
+import { calculateLateFee, sweepOverdueInstallments } from "../Utils/lateFee.js";
+import { scopeByBranch, scopeByGroup, isBranchInScope } from "../Utils/branchScope.js";
+import { findBranch, getSubtree, rollUpTotals } from "../Utils/branchTree.js";
+import { pickEditable } from "../Utils/financialLock.js";
+import { isExportRequest, streamExport } from "../Utils/export.js";
+import { paginate } from "../Utils/pagination.js";
+
+// Spreadsheet columns for ?format=csv|xlsx
+const INSTALLMENT_EXPORT_COLUMNS = [
+  { header: 'Installment ID', value: i => i.installment_id },
+  { header: 'Group', value: i => i.group_id?.group_id },
+  { header: 'Member ID', value: i => i.member_id?.member_id },
+  { header: 'Member Name', value: i => i.member_id?.mem_name },
+  { header: 'Scheme', value: i => i.scheme_id?.scheme_name },
+  { header: 'Number', value: i => i.installment_number },
+  { header: 'Period', value: i => i.installment_period },
+  { header: 'Due Date', value: i => i.due_date },
+  { header: 'Amount', value: i => i.amount },
+  { header: 'Dividend', value: i => i.dividend_amount },
+  { header: 'Paid', value: i => i.paid_amount },
+  { header: 'Pending', value: i => i.pending_amount },
+  { header: 'Late Fee', value: i => i.late_fee },
+  { header: 'Late Fee Paid', value: i => i.late_fee_paid },
+  { header: 'Status', value: i => i.status },
+  { header: 'Paid Date', value: i => i.paid_date },
+  { header: 'Collected By', value: i => i.collected_by?.emp_name }
+];
+
+// Amounts, payments and fees only change through payments, waivers and reversals
+const INSTALLMENT_EDITABLE_FIELDS = ['due_date', 'installment_period'];
 
 // Helper function to validate references
 const validateReferences = async (groupId, memberId, schemeId, collectedById) => {
@@ -36,6 +70,13 @@ export const createInstallment = async (req, res) => {
       collected_by || req.employee._id
     );
 
+    if (!(await isBranchInScope(req, group.branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Verify member belongs to group
     if (!group.members.some(m => m.member_id.equals(member_id))) {
       throw new Error('Member does not belong to this group');
@@ -49,6 +90,9 @@ export const createInstallment = async (req, res) => {
       collected_by: collected_by || req.employee._id
     });
 
+    // Net off any auction dividends the member is still owed
+    await applyPendingDividends(installment);
+
     res.status(201).json({
       success: true,
       data: installment
@@ -105,21 +149,24 @@ export const getInstallments = async (req, res) => {
       if (maxAmount) filter.amount.$lte = parseFloat(maxAmount);
     }
 
-    const installments = await Installment.find(filter)
+    const query = Installment.find(await scopeByGroup(req, filter))
       .populate('group_id', 'group_id')
       .populate('member_id', 'member_id mem_name phone')
       .populate('scheme_id', 'scheme_id scheme_name')
       .populate('collected_by', 'emp_id emp_name')
       .sort({ due_date: 1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'installments', columns: INSTALLMENT_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: installments.length,
-      data: installments
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -130,12 +177,12 @@ export const getInstallments = async (req, res) => {
 // @route   GET /api/installments/:id
 export const getInstallmentById = async (req, res) => {
   try {
-    const installment = await Installment.findOne({
+    const installment = await Installment.findOne(await scopeByGroup(req, {
       $or: [
         { _id: req.params.id },
         { installment_id: req.params.id }
       ]
-    })
+    }))
     .populate('group_id', 'group_id')
     .populate('member_id', 'member_id mem_name phone')
     .populate('scheme_id', 'scheme_id scheme_name')
@@ -164,69 +211,116 @@ export const getInstallmentById = async (req, res) => {
 // @desc    Record installment payment
 // @route   POST /api/installments/:id/pay
 export const recordPayment = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { paid_amount, payment_mode, collected_by, receipt_remarks } = req.body;
+    const { paid_amount, payment_mode, collected_by, receipt_remarks, reference_id, cheque_details } = req.body;
+    const amount = Number(paid_amount);
 
-    const installment = await Installment.findOne({
-      $or: [
-        { _id: req.params.id },
-        { installment_id: req.params.id }
-      ]
-    });
-
-    if (!installment) {
-      return res.status(404).json({
-        success: false,
-        message: "Installment not found"
-      });
+    if (!(amount > 0)) {
+      throw new Error('Paid amount must be greater than 0');
     }
 
-    if (installment.status === 'Paid' && installment.pending_amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Installment already fully paid"
-      });
-    }
+    let result;
+    await session.withTransaction(async () => {
+      const installment = await Installment.findOne(await scopeByGroup(req, {
+        $or: [
+          { _id: req.params.id },
+          { installment_id: req.params.id }
+        ]
+      })).session(session);
 
-    // Calculate late fee if payment is late
-    let lateFee = 0;
-    if (new Date() > installment.due_date) {
-      const daysLate = Math.ceil((new Date() - installment.due_date) / (1000 * 60 * 60 * 24));
-      // Get scheme to determine late fee rate
-      const scheme = await Scheme.findById(installment.scheme_id);
-      const lateFeeRate = scheme?.late_fee_rate || 0.02; // Default 2% per day
-      lateFee = installment.amount * lateFeeRate * daysLate;
-    }
+      if (!installment) {
+        result = null;
+        return;
+      }
 
-    // Update installment
-    installment.paid_amount = (installment.paid_amount || 0) + paid_amount;
-    installment.paid_date = new Date();
-    installment.late_fee = lateFee;
-    installment.status = installment.pending_amount <= paid_amount ? 'Paid' : 
-                         (installment.paid_amount > 0 ? 'Partial' : 'Pending');
-    installment.payment_mode = payment_mode;
-    installment.collected_by = collected_by || req.employee._id;
+      if (installment.status === 'Paid' && installment.pending_amount <= 0) {
+        throw new Error('Installment already fully paid');
+      }
+      if (installment.status === 'Written Off') {
+        throw new Error('Installment has been written off');
+      }
 
-    await installment.save();
+      // Assess late fee under the scheme's policy; a waiver keeps only what was already collected
+      const scheme = await Scheme.findById(installment.scheme_id).session(session);
+      const lateFee = installment.late_fee_waiver?.waived_at
+        ? installment.late_fee || 0
+        : calculateLateFee(installment, scheme?.late_fee_policy);
+
+      // An unpaid late fee is settled first; the rest goes to the installment
+      const lateFeeDue = Math.max(0, Math.round((lateFee - (installment.late_fee_paid || 0)) * 100) / 100);
+      const lateFeePaid = Math.min(amount, lateFeeDue);
+      const installmentPaid = Math.round((amount - lateFeePaid) * 100) / 100;
+
+      const member = await Member.findById(installment.member_id).session(session);
+      const collector = collected_by || req.employee._id;
+
+      // Record the money movement first so the installment and receipt can point at it
+      const [transaction] = await Transaction.create([{
+        branch_id: member.branch_id,
+        member_id: installment.member_id,
+        group_id: installment.group_id,
+        transaction_type: 'Installment',
+        amount,
+        payment_mode,
+        reference_id: reference_id || cheque_details?.cheque_no,
+        description: `Payment for ${installment.installment_period} installment`,
+        recorded_by: collector
+      }], { session });
+
+      // The late fee share is Penalty Income, not the member's chit contribution
+      const lines = lateFeePaid > 0 ? [
+        { account_code: transaction.payment_mode === 'Cash' ? '1000' : '1010', debit: amount, credit: 0 },
+        { account_code: '4100', debit: 0, credit: lateFeePaid }
+      ] : undefined;
+      if (lines && installmentPaid > 0) {
+        lines.push({ account_code: '2000', member_id: installment.member_id, debit: 0, credit: installmentPaid });
+      }
 
-    // Create receipt
-    const receipt = await Receipt.create({
-      branch_id: (await Member.findById(installment.member_id)).branch_id,
-      member_id: installment.member_id,
-      group_id: installment.group_id,
-      receipt_amount: paid_amount,
-      payment_mode,
-      received_by: collected_by || req.employee._id,
-      remarks: receipt_remarks || `Payment for ${installment.installment_period} installment`,
-      status: 'Completed'
+      const ledgerEntries = await postTransaction(transaction, { lines, session });
+
+      // Update installment
+      installment.paid_amount = (installment.paid_amount || 0) + installmentPaid;
+      installment.paid_date = new Date();
+      installment.late_fee = lateFee;
+      installment.late_fee_paid = (installment.late_fee_paid || 0) + lateFeePaid;
+      installment.status = installment.pending_amount <= installmentPaid ? 'Paid' : 
+                           (installment.paid_amount > 0 ? 'Partial' : 'Pending');
+      installment.payment_mode = payment_mode;
+      installment.collected_by = collector;
+      installment.transaction_id = transaction.transaction_id;
+
+      await installment.save({ session });
+
+      // Create receipt
+      const [receipt] = await Receipt.create([{
+        branch_id: member.branch_id,
+        member_id: installment.member_id,
+        group_id: installment.group_id,
+        receipt_amount: amount,
+        payment_mode,
+        cheque_details,
+        transaction_id: transaction._id,
+        installment_id: installment._id,
+        late_fee_amount: lateFeePaid,
+        received_by: collector,
+        remarks: receipt_remarks || `Payment for ${installment.installment_period} installment`,
+        status: 'Completed'
+      }], { session });
+
+      result = { installment, receipt, transaction, ledger_entries: ledgerEntries };
     });
 
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Installment not found"
+      });
+    }
+
     res.json({
       success: true,
-      data: {
-        installment,
-        receipt
-      },
+      data: result,
       message: "Payment recorded successfully"
     });
 
@@ -235,6 +329,8 @@ export const recordPayment = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -242,25 +338,21 @@ export const recordPayment = async (req, res) => {
 // @route   PUT /api/installments/:id
 export const updateInstallment = async (req, res) => {
   try {
-    // Prevent updating certain fields
-    const { 
-      installment_id, 
-      group_id, 
-      member_id, 
-      scheme_id,
-      paid_amount,
-      paid_date,
-      status,
-      ...updateData 
-    } = req.body;
+    const { data: updateData, rejected } = pickEditable(req.body, INSTALLMENT_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${INSTALLMENT_EDITABLE_FIELDS.join(', ')} can be updated, not ${rejected.join(', ')}`
+      });
+    }
 
     const installment = await Installment.findOneAndUpdate(
-      { 
+      await scopeByGroup(req, { 
         $or: [
           { _id: req.params.id },
           { installment_id: req.params.id }
         ]
-      },
+      }),
       updateData,
       { new: true, runValidators: true }
     )
@@ -299,8 +391,10 @@ export const getInstallmentStats = async (req, res) => {
     if (member_id) match.member_id = new mongoose.Types.ObjectId(member_id);
     if (scheme_id) match.scheme_id = new mongoose.Types.ObjectId(scheme_id);
 
+    const scoped = await scopeByGroup(req, match);
+
     const stats = await Installment.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: {
           status: "$status",
@@ -333,7 +427,7 @@ export const getInstallmentStats = async (req, res) => {
 
     // Calculate overall totals
     const totals = await Installment.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: null,
         totalInstallments: { $sum: 1 },
@@ -363,11 +457,27 @@ export const getInstallmentStats = async (req, res) => {
       }}
     ]);
 
+    // Late fees accrued so far on overdue installments, under each scheme's policy
+    const overdue = await Installment.find({
+      ...scoped,
+      due_date: { $lt: new Date() },
+      status: { $in: ['Pending', 'Partial', 'Late'] }
+    }).populate('scheme_id', 'late_fee_policy');
+
+    const accruedLateFees = overdue.reduce(
+      (sum, installment) => sum + calculateLateFee(installment, installment.scheme_id?.late_fee_policy),
+      0
+    );
+
     res.json({
       success: true,
       data: {
         byStatus: stats,
-        overall: totals[0] || {}
+        overall: {
+          ...(totals[0] || {}),
+          overdueInstallments: overdue.length,
+          accruedLateFees: Math.round(accruedLateFees * 100) / 100
+        }
       }
     });
 
@@ -379,16 +489,230 @@ export const getInstallmentStats = async (req, res) => {
   }
 };
 
+// @desc    Get installment statistics for a branch and everything below it
+// @route   GET /api/installments/stats/rollup
+export const getInstallmentStatsRollup = async (req, res) => {
+  try {
+    const root = await findBranch(req.query.branch_id);
+    if (!root) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found"
+      });
+    }
+
+    if (!(await isBranchInScope(req, root._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const subtree = await getSubtree(root);
+
+    // Installments only know their group, so map them to branches through it
+    const groupIds = await Group.find({ branch_id: { $in: subtree.map(b => b._id) } }).distinct('_id');
+
+    const rows = await Installment.aggregate([
+      { $match: { group_id: { $in: groupIds } } },
+      { $lookup: {
+        from: "groups",
+        localField: "group_id",
+        foreignField: "_id",
+        as: "group"
+      }},
+      { $unwind: "$group" },
+      { $group: {
+        _id: "$group.branch_id",
+        totalInstallments: { $sum: 1 },
+        totalAmount: { $sum: "$amount" },
+        totalPaid: { $sum: "$paid_amount" },
+        totalLateFees: { $sum: "$late_fee" },
+        overdueInstallments: {
+          $sum: {
+            $cond: [
+              { $and: [
+                { $lt: ["$due_date", new Date()] },
+                { $in: ["$status", ['Pending', 'Partial', 'Late']] }
+              ]},
+              1,
+              0
+            ]
+          }
+        }
+      }}
+    ]);
+
+    const nodes = rollUpTotals(subtree, rows, [
+      'totalInstallments',
+      'totalAmount',
+      'totalPaid',
+      'totalLateFees',
+      'overdueInstallments'
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        branch: nodes[0],
+        overall: nodes[0].rollup,
+        branches: nodes
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Waive the late fee on an installment
+// @route   POST /api/installments/:id/waive-late-fee
+export const waiveLateFee = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to waive a late fee"
+      });
+    }
+
+    const installment = await Installment.findOne(await scopeByGroup(req, {
+      $or: [
+        { _id: req.params.id },
+        { installment_id: req.params.id }
+      ]
+    }));
+
+    if (!installment) {
+      return res.status(404).json({
+        success: false,
+        message: "Installment not found"
+      });
+    }
+
+    if (installment.late_fee_waiver?.waived_at) {
+      throw new Error('Late fee already waived');
+    }
+
+    const scheme = await Scheme.findById(installment.scheme_id);
+    const assessed = Math.max(installment.late_fee || 0, calculateLateFee(installment, scheme?.late_fee_policy));
+    const collected = installment.late_fee_paid || 0;
+
+    // Only the part not yet collected can be waived
+    installment.late_fee_waiver = {
+      waived_by: req.employee._id,
+      reason: reason.trim(),
+      waived_amount: Math.max(0, Math.round((assessed - collected) * 100) / 100),
+      waived_at: new Date()
+    };
+    installment.late_fee = collected;
+    await installment.save();
+
+    res.json({
+      success: true,
+      data: installment,
+      message: "Late fee waived successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Write off the unpaid balance of an installment
+// @route   POST /api/installments/:id/write-off
+export const writeOffInstallment = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || reason.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to write off an installment"
+      });
+    }
+
+    const installment = await Installment.findOne(await scopeByGroup(req, {
+      $or: [
+        { _id: req.params.id },
+        { installment_id: req.params.id }
+      ]
+    }));
+
+    if (!installment) {
+      return res.status(404).json({
+        success: false,
+        message: "Installment not found"
+      });
+    }
+
+    if (installment.status === 'Written Off') {
+      throw new Error('Installment already written off');
+    }
+    if (installment.pending_amount <= 0) {
+      throw new Error('Installment has no unpaid balance');
+    }
+
+    installment.write_off = {
+      written_off_by: req.employee._id,
+      reason: reason.trim(),
+      amount: installment.pending_amount,
+      written_off_at: new Date()
+    };
+    installment.status = 'Written Off';
+    await installment.save();
+
+    res.json({
+      success: true,
+      data: installment,
+      message: "Installment written off successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mark overdue installments and assess late fees
+// @route   POST /api/installments/overdue-sweep
+export const runOverdueSweep = async (req, res) => {
+  try {
+    const result = await sweepOverdueInstallments();
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get upcoming installments for member
 // @route   GET /api/members/:member_id/installments/upcoming
 export const getUpcomingInstallments = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.member_id },
         { member_id: req.params.member_id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -397,7 +721,7 @@ export const getUpcomingInstallments = async (req, res) => {
       });
     }
 
-    const installments = await Installment.find({
+    const query = Installment.find({
       member_id: member._id,
       due_date: { $gte: new Date() },
       status: { $in: ['Pending', 'Partial'] }
@@ -408,11 +732,11 @@ export const getUpcomingInstallments = async (req, res) => {
 
     res.json({
       success: true,
-      data: installments
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
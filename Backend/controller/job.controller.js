@@ -0,0 +1,95 @@
+import Job from "../models/job.js";
+import JobRun from "../models/jobRun.js";
+import { JOBS } from "../Utils/jobs.js";
+import { runJob } from "../Utils/scheduler.js";
+import { paginate } from "../Utils/pagination.js";
+
+// @desc    Get scheduled jobs and their state
+// @route   GET /api/jobs
+export const getJobs = async (req, res) => {
+  try {
+    const jobs = await Job.find().sort({ next_run_at: 1 });
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get job run history
+// @route   GET /api/jobs/runs
+export const getJobRuns = async (req, res) => {
+  try {
+    const { job_name, status, startDate, endDate } = req.query;
+    const filter = {};
+
+    if (job_name) filter.job_name = job_name;
+    if (status) filter.status = status;
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.started_at = {};
+      if (startDate) filter.started_at.$gte = new Date(startDate);
+      if (endDate) filter.started_at.$lte = new Date(endDate);
+    }
+
+    const query = JobRun.find(filter)
+      .populate('triggered_by', 'emp_id emp_name')
+      .sort({ started_at: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+export const triggerJob = async (req, res) => {
+  try {
+    if (!JOBS[req.params.name]) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found"
+      });
+    }
+
+    const run = await runJob(req.params.name, {
+      trigger: 'Manual',
+      triggeredBy: req.employee._id
+    });
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: "Job is already running or disabled"
+      });
+    }
+
+    res.json({
+      success: run.status === 'Succeeded',
+      data: run
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
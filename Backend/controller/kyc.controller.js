@@ -0,0 +1,319 @@
+import KycDocument, { KYC_DOCUMENT_TYPES, REQUIRED_KYC_DOCUMENTS } from "../models/kycDocument.js";
+import Member from "../models/member.js";
+import multer from "multer";
+import { scopeByBranch } from "../Utils/branchScope.js";
+import mongoose from "mongoose";
+import { paginate, pageParams } from "../Utils/pagination.js";
+import { summarizeKyc, findIncompleteKyc } from "../Utils/kyc.js";
+import { uploadDocument, getFile, pipeFile, setDisposition } from "../Utils/gridFS.js";
+
+// Originals are kept as uploaded, so scans and PDFs are both accepted
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image or PDF files are allowed!'), false);
+    }
+  }
+});
+
+const findMember = async (req) => Member.findOne(await scopeByBranch(req, {
+  $or: [
+    { _id: req.params.member_id },
+    { member_id: req.params.member_id }
+  ]
+}));
+
+const findDocument = async (req) => KycDocument.findOne(await scopeByBranch(req, {
+  $or: [
+    { _id: req.params.id },
+    { document_id: req.params.id }
+  ]
+}));
+
+// @desc    Get a member's KYC vault and where each document type stands
+// @route   GET /api/kyc/members/:member_id
+export const getMemberKyc = async (req, res) => {
+  try {
+    const member = await findMember(req);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    // Superseded documents stay in the vault but only show on request
+    const filter = { member_id: member._id };
+    if (req.query.all !== 'true') filter.active = true;
+
+    const documents = await KycDocument.find(filter)
+      .populate('verified_by', 'emp_id emp_name')
+      .populate('uploaded_by', 'emp_id emp_name')
+      .sort({ doc_type: 1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        member_id: member.member_id,
+        mem_name: member.mem_name,
+        required: REQUIRED_KYC_DOCUMENTS,
+        ...summarizeKyc(documents.filter(d => d.active)),
+        documents
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Upload a KYC document for a member
+// @route   POST /api/kyc/members/:member_id/documents
+export const uploadKycDocument = [
+  kycUpload.single('document'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload an image or PDF file"
+        });
+      }
+
+      const { doc_type, document_number, expiry_date } = req.body;
+      if (!KYC_DOCUMENT_TYPES.includes(doc_type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Document type must be one of ${KYC_DOCUMENT_TYPES.join(', ')}`
+        });
+      }
+
+      if (expiry_date && !(new Date(expiry_date) > new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: "Expiry date must be a valid future date"
+        });
+      }
+
+      const member = await findMember(req);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found"
+        });
+      }
+
+      const filename = await uploadDocument(req.file, `kyc-${member.member_id}`);
+
+      const document = await KycDocument.create({
+        member_id: member._id,
+        branch_id: member.branch_id,
+        doc_type,
+        document_number,
+        filename,
+        original_name: req.file.originalname,
+        content_type: req.file.mimetype,
+        size: req.file.size,
+        expiry_date: expiry_date || undefined,
+        uploaded_by: req.employee._id
+      });
+
+      res.status(201).json({
+        success: true,
+        data: document
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+];
+
+// @desc    Get KYC documents with filters (e.g. the verification queue)
+// @route   GET /api/kyc/documents
+export const getKycDocuments = async (req, res) => {
+  try {
+    const { member_id, doc_type, status, active } = req.query;
+    const filter = {};
+
+    if (member_id) filter.member_id = member_id;
+    if (doc_type) filter.doc_type = doc_type;
+    if (status) filter.status = status;
+    if (active) filter.active = active === 'true';
+
+    const query = KycDocument.find(await scopeByBranch(req, filter))
+      .populate('member_id', 'member_id mem_name')
+      .populate('verified_by', 'emp_id emp_name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Download the original of a KYC document
+// @route   GET /api/kyc/documents/:id/file
+export const getKycDocumentFile = async (req, res) => {
+  try {
+    const document = await findDocument(req);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found"
+      });
+    }
+
+    const downloadStream = await getFile(document.filename);
+
+    if (!downloadStream) {
+      return res.status(404).json({
+        success: false,
+        message: "Document file not found"
+      });
+    }
+
+    res.set('Content-Type', document.content_type || 'application/octet-stream');
+    setDisposition(res, document.original_name || document.filename, req.query.download === 'true' ? 'attachment' : 'inline');
+    pipeFile(downloadStream, res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Verify or reject a KYC document
+// @route   POST /api/kyc/documents/:id/verify
+export const verifyKycDocument = async (req, res) => {
+  try {
+    const { status, rejection_reason } = req.body;
+
+    if (!['Verified', 'Rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be Verified or Rejected"
+      });
+    }
+
+    if (status === 'Rejected' && (!rejection_reason || rejection_reason.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        message: "A rejection reason is required"
+      });
+    }
+
+    const document = await findDocument(req);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: "Document not found"
+      });
+    }
+
+    if (document.status !== 'Pending') {
+      throw new Error(`Document is already ${document.status.toLowerCase()}`);
+    }
+
+    if (status === 'Verified' && document.expiry_date && document.expiry_date < new Date()) {
+      throw new Error('An expired document cannot be verified');
+    }
+
+    document.status = status;
+    document.verified_by = req.employee._id;
+    document.verified_at = new Date();
+    document.rejection_reason = status === 'Rejected' ? rejection_reason.trim() : undefined;
+    await document.save();
+
+    // The newly verified document replaces older ones of the same type
+    if (status === 'Verified') {
+      await KycDocument.updateMany(
+        {
+          member_id: document.member_id,
+          doc_type: document.doc_type,
+          active: true,
+          _id: { $ne: document._id }
+        },
+        { active: false }
+      );
+    }
+
+    res.json({
+      success: true,
+      data: document,
+      message: `Document ${status.toLowerCase()} successfully`
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Members with missing or expired KYC documents
+// @route   GET /api/kyc/report
+export const getKycReport = async (req, res) => {
+  try {
+    const { branch_id, include_pending } = req.query;
+    const filter = { active: true };
+
+    // The filter goes straight into an aggregation, so cast ids here
+    if (branch_id) {
+      if (!mongoose.isValidObjectId(branch_id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid branch ID"
+        });
+      }
+      filter.branch_id = new mongoose.Types.ObjectId(branch_id);
+    }
+
+    const { page, limit } = pageParams(req);
+    const { total, data } = await findIncompleteKyc(await scopeByBranch(req, filter), {
+      includePending: include_pending === 'true',
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      required: REQUIRED_KYC_DOCUMENTS,
+      count: data.length,
+      total,
+      page,
+      limit,
+      next_cursor: null,
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
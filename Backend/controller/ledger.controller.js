@@ -1,62 +1,63 @@
 import Ledger from "../models/ledger.js";
 import Transaction from "../models/transaction.js";
 import Member from "../models/member.js";
-import Group from "../models/group.js";
-import Branch from "../models/branch.js";
 import mongoose from "mongoose";
-
-// @desc    Create a new ledger entry
+import { postTransaction, getAccountsByCode } from "../Utils/accounting.js";
+import { scopeByBranch, isBranchInScope } from "../Utils/branchScope.js";
+import { pickEditable } from "../Utils/financialLock.js";
+import { buildMemberStatement, statementToCsv } from "../Utils/memberStatement.js";
+import { buildStatementPdf } from "../Utils/statementPdf.js";
+import { isExportRequest, streamExport } from "../Utils/export.js";
+import { paginate } from "../Utils/pagination.js";
+
+// Spreadsheet columns for ?format=csv|xlsx
+const LEDGER_EXPORT_COLUMNS = [
+  { header: 'Ledger ID', value: l => l.ledger_id },
+  { header: 'Date', value: l => l.date },
+  { header: 'Account Code', value: l => l.account_id?.code },
+  { header: 'Account', value: l => l.account_id?.name },
+  { header: 'Debit', value: l => l.debit },
+  { header: 'Credit', value: l => l.credit },
+  { header: 'Branch', value: l => l.branch_id?.bname },
+  { header: 'Member ID', value: l => l.member_id?.member_id },
+  { header: 'Member Name', value: l => l.member_id?.mem_name },
+  { header: 'Group', value: l => l.group_id?.group_id },
+  { header: 'Transaction', value: l => l.transaction_id?.transaction_id },
+  { header: 'Description', value: l => l.description },
+  { header: 'Reference', value: l => l.reference }
+];
+
+const LEDGER_EDITABLE_FIELDS = ['description'];
+
+// @desc    Post the journal for a transaction
 // @route   POST /api/ledgers
 export const createLedgerEntry = async (req, res) => {
   try {
-    const { branch_id, member_id, group_id, transaction_id, debit, credit, description, reference } = req.body;
+    const { transaction_id, lines, description, reference } = req.body;
 
-    // Validate required fields
-    if (!branch_id || !member_id || !transaction_id) {
+    if (!transaction_id) {
       return res.status(400).json({
         success: false,
-        message: "Branch ID, Member ID and Transaction ID are required"
+        message: "Transaction ID is required"
       });
     }
 
-    // Validate references exist
-    const [branch, member, transaction, group] = await Promise.all([
-      Branch.findById(branch_id),
-      Member.findById(member_id),
-      Transaction.findById(transaction_id),
-      group_id ? Group.findById(group_id) : Promise.resolve(null)
-    ]);
-
-    if (!branch) throw new Error('Branch not found');
-    if (!member) throw new Error('Member not found');
+    const transaction = await Transaction.findOne(await scopeByBranch(req, { _id: transaction_id }));
     if (!transaction) throw new Error('Transaction not found');
-    if (group_id && !group) throw new Error('Group not found');
-
-    // Get the last balance for this member
-    const lastEntry = await Ledger.findOne({ member_id })
-      .sort({ createdAt: -1 })
-      .limit(1);
 
-    const lastBalance = lastEntry ? lastEntry.balance : 0;
-    const newBalance = lastBalance + (credit || 0) - (debit || 0);
+    // Validate member references on manual lines
+    const memberIds = (lines || []).filter(l => l.member_id).map(l => l.member_id);
+    if (memberIds.length > 0) {
+      const count = await Member.countDocuments({ _id: { $in: memberIds } });
+      if (count !== new Set(memberIds.map(String)).size) throw new Error('Member not found');
+    }
 
-    // Create the ledger entry
-    const ledgerEntry = await Ledger.create({
-      branch_id,
-      member_id,
-      group_id,
-      transaction_id,
-      date: new Date(),
-      debit,
-      credit,
-      balance: newBalance,
-      description,
-      reference
-    });
+    const ledgerEntries = await postTransaction(transaction, { lines, description, reference });
 
     res.status(201).json({
       success: true,
-      data: ledgerEntry
+      count: ledgerEntries.length,
+      data: ledgerEntries
     });
 
   } catch (error) {
@@ -75,6 +76,7 @@ export const getLedgerEntries = async (req, res) => {
       branch_id, 
       member_id, 
       group_id,
+      account_id,
       transaction_id,
       startDate, 
       endDate,
@@ -87,6 +89,7 @@ export const getLedgerEntries = async (req, res) => {
     if (branch_id) filter.branch_id = branch_id;
     if (member_id) filter.member_id = member_id;
     if (group_id) filter.group_id = group_id;
+    if (account_id) filter.account_id = account_id;
     if (transaction_id) filter.transaction_id = transaction_id;
 
     // Date range filter
@@ -112,21 +115,25 @@ export const getLedgerEntries = async (req, res) => {
       }
     }
 
-    const ledgerEntries = await Ledger.find(filter)
+    const query = Ledger.find(await scopeByBranch(req, filter))
       .populate('branch_id', 'branch_id bname')
+      .populate('account_id', 'code name type')
       .populate('member_id', 'member_id mem_name')
       .populate('group_id', 'group_id group_name')
       .populate('transaction_id', 'transaction_id description')
       .sort({ date: -1, createdAt: -1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'ledger', columns: LEDGER_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: ledgerEntries.length,
-      data: ledgerEntries
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -137,13 +144,14 @@ export const getLedgerEntries = async (req, res) => {
 // @route   GET /api/ledgers/:id
 export const getLedgerEntryById = async (req, res) => {
   try {
-    const ledgerEntry = await Ledger.findOne({
+    const ledgerEntry = await Ledger.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { ledger_id: req.params.id }
       ]
-    })
+    }))
     .populate('branch_id', 'branch_id bname')
+    .populate('account_id', 'code name type')
     .populate('member_id', 'member_id mem_name')
     .populate('group_id', 'group_id group_name')
     .populate('transaction_id', 'transaction_id description');
@@ -172,12 +180,12 @@ export const getLedgerEntryById = async (req, res) => {
 // @route   GET /api/members/:member_id/ledger
 export const getMemberLedger = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.member_id },
         { member_id: req.params.member_id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -198,23 +206,28 @@ export const getMemberLedger = async (req, res) => {
 
     const ledgerEntries = await Ledger.find(filter)
       .populate('branch_id', 'branch_id bname')
+      .populate('account_id', 'code name')
       .populate('group_id', 'group_id group_name')
       .populate('transaction_id', 'transaction_id description')
       .sort({ date: 1, createdAt: 1 });
 
-    // Calculate opening and closing balances
+    // Opening balance is everything posted before the range
     let openingBalance = 0;
-    let closingBalance = 0;
-
-    if (ledgerEntries.length > 0) {
-      const firstEntry = await Ledger.findOne({ member_id: member._id })
-        .sort({ date: 1, createdAt: 1 })
-        .limit(1);
-
-      openingBalance = firstEntry.balance - firstEntry.credit + firstEntry.debit;
-      closingBalance = ledgerEntries[ledgerEntries.length - 1].balance;
+    if (startDate) {
+      const [prior] = await Ledger.aggregate([
+        { $match: { member_id: member._id, date: { $lt: new Date(startDate) } } },
+        { $group: { _id: null, credit: { $sum: "$credit" }, debit: { $sum: "$debit" } } }
+      ]);
+      openingBalance = prior ? prior.credit - prior.debit : 0;
     }
 
+    // Running balance is derived on read, never stored
+    let closingBalance = openingBalance;
+    const transactions = ledgerEntries.map(entry => {
+      closingBalance += (entry.credit || 0) - (entry.debit || 0);
+      return { ...entry.toObject(), balance: closingBalance };
+    });
+
     res.json({
       success: true,
       data: {
@@ -224,8 +237,8 @@ export const getMemberLedger = async (req, res) => {
         },
         opening_balance: openingBalance,
         closing_balance: closingBalance,
-        transactions: ledgerEntries,
-        count: ledgerEntries.length
+        transactions,
+        count: transactions.length
       }
     });
 
@@ -237,27 +250,81 @@ export const getMemberLedger = async (req, res) => {
   }
 };
 
+// @desc    Member account statement across all groups
+// @route   GET /api/ledgers/members/:member_id/statement?format=pdf|csv|json
+export const getMemberStatement = async (req, res) => {
+  try {
+    const member = await Member.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.member_id },
+        { member_id: req.params.member_id }
+      ]
+    }));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    const { startDate, endDate, format = 'pdf' } = req.query;
+    if (!['pdf', 'csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be pdf, csv or json"
+      });
+    }
+
+    const statement = await buildMemberStatement(member, { startDate, endDate });
+    const filename = `statement-${member.member_id}.${format}`;
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: statement
+      });
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(statementToCsv(statement));
+    }
+
+    const pdf = await buildStatementPdf(statement);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+    res.send(pdf);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Update ledger entry
 // @route   PUT /api/ledgers/:id
 export const updateLedgerEntry = async (req, res) => {
   try {
-    // Prevent updating certain fields
-    const { 
-      ledger_id, 
-      branch_id, 
-      member_id, 
-      transaction_id,
-      balance,
-      ...updateData 
-    } = req.body;
+    // Posted amounts and accounts are final; corrections are reversals
+    const { data: updateData, rejected } = pickEditable(req.body, LEDGER_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${LEDGER_EDITABLE_FIELDS.join(', ')} can be updated; reverse the transaction to correct ${rejected.join(', ')}`
+      });
+    }
 
     const ledgerEntry = await Ledger.findOneAndUpdate(
-      { 
+      await scopeByBranch(req, { 
         $or: [
           { _id: req.params.id },
           { ledger_id: req.params.id }
         ]
-      },
+      }),
       updateData,
       { new: true, runValidators: true }
     )
@@ -292,6 +359,13 @@ export const getLedgerStats = async (req, res) => {
     const { branch_id, startDate, endDate } = req.query;
     const match = {};
 
+    if (branch_id && !mongoose.isValidObjectId(branch_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid branch ID"
+      });
+    }
+
     if (branch_id) match.branch_id = new mongoose.Types.ObjectId(branch_id);
     
     // Date range filter
@@ -302,7 +376,7 @@ export const getLedgerStats = async (req, res) => {
     }
 
     const stats = await Ledger.aggregate([
-      { $match: match },
+      { $match: await scopeByBranch(req, match) },
       { 
         $group: {
           _id: null,
@@ -333,6 +407,94 @@ export const getLedgerStats = async (req, res) => {
       }
     });
 
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get trial balance for a branch
+// @route   GET /api/ledgers/trial-balance
+export const getTrialBalance = async (req, res) => {
+  try {
+    const { branch_id, asOf } = req.query;
+
+    if (!branch_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Branch ID is required"
+      });
+    }
+
+    if (!mongoose.isValidObjectId(branch_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid branch ID"
+      });
+    }
+
+    if (!(await isBranchInScope(req, branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const match = { branch_id: new mongoose.Types.ObjectId(branch_id) };
+    if (asOf) match.date = { $lte: new Date(asOf) };
+
+    // Make sure the chart exists so every account is listed
+    await getAccountsByCode();
+
+    const rows = await Ledger.aggregate([
+      { $match: match },
+      { $group: {
+        _id: "$account_id",
+        totalDebit: { $sum: "$debit" },
+        totalCredit: { $sum: "$credit" }
+      }},
+      { $lookup: {
+        from: "accounts",
+        localField: "_id",
+        foreignField: "_id",
+        as: "account"
+      }},
+      { $unwind: "$account" },
+      { $project: {
+        _id: 0,
+        code: "$account.code",
+        name: "$account.name",
+        type: "$account.type",
+        totalDebit: { $round: ["$totalDebit", 2] },
+        totalCredit: { $round: ["$totalCredit", 2] },
+        balance: { $round: [{ $subtract: ["$totalDebit", "$totalCredit"] }, 2] }
+      }},
+      { $sort: { code: 1 } }
+    ]);
+
+    const accounts = rows.map(row => ({
+      ...row,
+      debit_balance: row.balance > 0 ? row.balance : 0,
+      credit_balance: row.balance < 0 ? -row.balance : 0
+    }));
+
+    const totalDebit = Math.round(accounts.reduce((sum, a) => sum + a.debit_balance, 0) * 100) / 100;
+    const totalCredit = Math.round(accounts.reduce((sum, a) => sum + a.credit_balance, 0) * 100) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        branch_id,
+        as_of: asOf ? new Date(asOf) : new Date(),
+        accounts,
+        total_debit: totalDebit,
+        total_credit: totalCredit,
+        balanced: totalDebit === totalCredit
+      }
+    });
+
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -1,8 +1,33 @@
 import Member from "../models/member.js";
 import Branch from "../models/branch.js";
 import Employee from "../models/employee.js";
+import { scopeByBranch, isBranchInScope } from "../Utils/branchScope.js";
 import { uploadImage, getImage, deleteImage } from '../Utils/gridFS.js';
+import { readSpreadsheet } from '../Utils/spreadsheet.js';
+import { validateMemberRows, importMembers } from '../Utils/memberImport.js';
 import multer from 'multer';
+import { isExportRequest, streamExport } from '../Utils/export.js';
+import { paginate } from '../Utils/pagination.js';
+
+// Spreadsheet columns for ?format=csv|xlsx
+const MEMBER_EXPORT_COLUMNS = [
+  { header: 'Member ID', value: m => m.member_id },
+  { header: 'Name', value: m => m.mem_name },
+  { header: 'Gender', value: m => m.gender },
+  { header: 'DOB', value: m => m.dob },
+  { header: 'Age', value: m => m.age },
+  { header: 'Mobile', value: m => m.mobile },
+  { header: 'Phone', value: m => m.phone },
+  { header: 'Address', value: m => m.address },
+  { header: 'Pincode', value: m => m.pincode },
+  { header: 'Nominee', value: m => m.nominee_name },
+  { header: 'Nominee Relation', value: m => m.nominee_relation },
+  { header: 'Branch', value: m => m.branch_id?.bname },
+  { header: 'Branch Code', value: m => m.branch_id?.branch_id },
+  { header: 'Registered By', value: m => m.registered_by?.emp_name },
+  { header: 'Registration Date', value: m => m.registration_date },
+  { header: 'Active', value: m => (m.active ? 'Yes' : 'No') }
+];
 
 // Configure multer for memory storage
 const upload = multer({
@@ -31,12 +56,12 @@ export const uploadMemberPhoto = [
       }
 
       // Find member
-      const member = await Member.findOne({
+      const member = await Member.findOne(await scopeByBranch(req, {
         $or: [
           { _id: req.params.id },
           { member_id: req.params.id }
         ]
-      });
+      }));
       
       if (!member) {
         return res.status(404).json({
@@ -72,16 +97,88 @@ export const uploadMemberPhoto = [
   }
 ];
 
+// Bulk imports take a single CSV or XLSX sheet
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or XLSX files are allowed!'), false);
+    }
+  }
+});
+
+// @desc    Bulk import members from CSV/XLSX (mode=dry-run|commit)
+// @route   POST /api/members/import
+export const importMembersFromFile = [
+  importUpload.single('file'),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload a CSV or XLSX file"
+        });
+      }
+
+      const mode = req.body.mode || req.query.mode || 'dry-run';
+      if (!['dry-run', 'commit'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: "Mode must be dry-run or commit"
+        });
+      }
+
+      const records = await readSpreadsheet(req.file);
+      if (records.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The file has no member rows"
+        });
+      }
+
+      const rows = await validateMemberRows(req, records, { defaultBranch: req.body.branch_id });
+      const results = mode === 'commit'
+        ? await importMembers(rows)
+        : rows.map(({ row, errors }) => ({ row, status: errors.length ? 'invalid' : 'valid', errors }));
+
+      const count = (status) => results.filter(r => r.status === status).length;
+
+      res.status(mode === 'commit' ? 201 : 200).json({
+        success: true,
+        data: {
+          mode,
+          total: rows.length,
+          valid: rows.filter(r => r.errors.length === 0).length,
+          invalid: count('invalid'),
+          imported: count('imported'),
+          failed: count('failed'),
+          rows: results
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+];
+
 // @desc    Get member photo
 // @route   GET /api/members/:id/photo
 export const getMemberPhoto = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { member_id: req.params.id }
       ]
-    });
+    }));
     
     if (!member || !member.photo) {
       return res.status(404).json({
@@ -128,6 +225,13 @@ export const registerMember = async (req, res) => {
     // Validate references
     await validateReferences(branch_id, registered_by);
 
+    if (!(await isBranchInScope(req, branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Check for duplicate UID or mobile
     const existingMember = await Member.findOne({
       $or: [
@@ -202,19 +306,22 @@ export const getMembers = async (req, res) => {
       ];
     }
 
-    const members = await Member.find(filter)
+    const query = Member.find(await scopeByBranch(req, filter))
       .populate('branch_id', 'branch_id bname')
       .populate('registered_by', 'emp_id emp_name')
       .sort({ registration_date: -1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'members', columns: MEMBER_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: members.length,
-      data: members
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -225,13 +332,13 @@ export const getMembers = async (req, res) => {
 // @route   GET /api/members/:id
 export const getMemberById = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { member_id: req.params.id },
         { uid: req.params.id }
       ]
-    })
+    }))
     .populate('branch_id', 'branch_id bname address phone')
     .populate('registered_by', 'emp_id emp_name phone');
 
@@ -260,7 +367,7 @@ export const getMemberById = async (req, res) => {
 export const updateMember = async (req, res) => {
   try {
     // Prevent updating certain fields
-    const { member_id, uid, branch_id, registered_by, ...updateData } = req.body;
+    const { member_id, uid, branch_id, registered_by, password, ...updateData } = req.body;
 
     // Validate new UID if provided
     if (uid) {
@@ -274,12 +381,12 @@ export const updateMember = async (req, res) => {
     }
 
     const member = await Member.findOneAndUpdate(
-      { 
+      await scopeByBranch(req, { 
         $or: [
           { _id: req.params.id },
           { member_id: req.params.id }
         ]
-      },
+      }),
       updateData,
       { new: true, runValidators: true }
     )
@@ -306,17 +413,64 @@ export const updateMember = async (req, res) => {
   }
 };
 
+// @desc    Set member portal password
+// @route   PUT /api/members/:id/password
+export const setMemberPassword = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters"
+      });
+    }
+
+    const member = await Member.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.id },
+        { member_id: req.params.id }
+      ]
+    }));
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    member.password = password;
+    await member.save();
+
+    res.json({
+      success: true,
+      data: {
+        member_id: member.member_id,
+        mem_name: member.mem_name
+      },
+      message: "Portal password set successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Toggle member status
 // @route   PATCH /api/members/:id/status
 export const toggleMemberStatus = async (req, res) => {
   try {
     const member = await Member.findOneAndUpdate(
-      { 
+      await scopeByBranch(req, { 
         $or: [
           { _id: req.params.id },
           { member_id: req.params.id }
         ]
-      },
+      }),
       { active: req.body.active },
       { new: true }
     );
@@ -350,7 +504,10 @@ export const toggleMemberStatus = async (req, res) => {
 // @route   GET /api/members/stats
 export const getMemberStats = async (req, res) => {
   try {
+    const scope = { $match: await scopeByBranch(req) };
+
     const stats = await Member.aggregate([
+      scope,
       {
         $group: {
           _id: "$branch_id",
@@ -388,6 +545,7 @@ export const getMemberStats = async (req, res) => {
 
     // Get overall stats
     const overall = await Member.aggregate([
+      scope,
       {
         $group: {
           _id: null,
@@ -440,12 +598,12 @@ export const deleteMember = async (req, res) => {
       });
     }
 
-    const member = await Member.findOneAndDelete({
+    const member = await Member.findOneAndDelete(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { member_id: req.params.id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -0,0 +1,271 @@
+import Member from "../models/member.js";
+import Group from "../models/group.js";
+import Receipt from "../models/receipt.js";
+import Notification from "../models/notification.js";
+import jwt from "jsonwebtoken";
+import { paginate } from "../Utils/pagination.js";
+
+// Member tokens carry their own scope so they never pass `protect`
+const generateMemberToken = (id) => {
+  return jwt.sign({ id, scope: 'member' }, process.env.JWT_SECRET, {
+    expiresIn: "2hrs",
+  });
+};
+
+// Point member-scoped handlers at the logged-in member
+export const asSelf = (req, res, next) => {
+  req.params.member_id = String(req.member._id);
+  req.body.member_id = req.member._id;
+  next();
+};
+
+// @desc    Authenticate member
+// @route   POST /api/portal/login
+export const memberLogin = async (req, res) => {
+  try {
+    const { login, password } = req.body;
+
+    if (!login || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Login and password are required"
+      });
+    }
+
+    // Members sign in with their UID, member ID or registered phone
+    const member = await Member.findOne({
+      $or: [
+        { uid: login },
+        { member_id: login },
+        { phone: login },
+        { mobile: login }
+      ]
+    }).select('+password');
+
+    if (!member || !(await member.comparePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid credentials"
+      });
+    }
+
+    if (!member.active) {
+      return res.status(403).json({
+        success: false,
+        message: "Account is inactive"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        _id: member._id,
+        member_id: member.member_id,
+        mem_name: member.mem_name,
+        token: generateMemberToken(member._id)
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get my profile
+// @route   GET /api/portal/me
+export const getMyProfile = async (req, res) => {
+  try {
+    const member = await Member.findById(req.member._id)
+      .populate('branch_id', 'branch_id bname');
+
+    res.json({
+      success: true,
+      data: member
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change my password
+// @route   PUT /api/portal/me/password
+export const changeMyPassword = async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const member = await Member.findById(req.member._id).select('+password');
+    if (!(await member.comparePassword(current_password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect"
+      });
+    }
+
+    member.password = new_password;
+    await member.save();
+
+    res.json({
+      success: true,
+      message: "Password changed successfully"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get my groups
+// @route   GET /api/portal/groups
+export const getMyGroups = async (req, res) => {
+  try {
+    const groups = await Group.find({ 'members.member_id': req.member._id })
+      .populate('branch_id', 'branch_id bname')
+      .populate('scheme_id', 'scheme_id scheme_name chit_amount installment_amount duration_months auction_frequency');
+
+    // Only expose this member's own slot, not the other members
+    const data = groups.map(group => {
+      const slot = group.members.find(m => m.member_id.equals(req.member._id));
+      return {
+        _id: group._id,
+        group_id: group.group_id,
+        branch: group.branch_id,
+        scheme: group.scheme_id,
+        status: group.status,
+        start_date: group.start_date,
+        current_month: group.current_month,
+        member_count: group.members.length,
+        payout_month: slot.payout_month,
+        payout_received: slot.payout_received,
+        join_date: slot.join_date
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get my receipts
+// @route   GET /api/portal/receipts
+export const getMyReceipts = async (req, res) => {
+  try {
+    const { group_id, startDate, endDate } = req.query;
+    const filter = { member_id: req.member._id };
+
+    if (group_id) filter.group_id = group_id;
+
+    // Date range filter
+    if (startDate || endDate) {
+      filter.receipt_date = {};
+      if (startDate) filter.receipt_date.$gte = new Date(startDate);
+      if (endDate) filter.receipt_date.$lte = new Date(endDate);
+    }
+
+    const query = Receipt.find(filter)
+      .populate('branch_id', 'branch_id bname')
+      .populate('group_id', 'group_id')
+      .sort({ receipt_date: -1 });
+
+    res.json({
+      success: true,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get my notifications
+// @route   GET /api/portal/notifications
+export const getMyNotifications = async (req, res) => {
+  try {
+    const filter = {
+      recipient_type: 'Member',
+      recipient_id: req.member._id,
+      expiry_date: { $gt: new Date() }
+    };
+
+    if (req.query.is_read) filter.is_read = req.query.is_read === 'true';
+
+    const query = Notification.find(filter)
+      .sort({ createdAt: -1 });
+
+    const unread = await Notification.getUnreadCount(req.member._id, 'Member');
+
+    res.json({
+      success: true,
+      unread,
+      ...(await paginate(req, query))
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mark one of my notifications as read
+// @route   PATCH /api/portal/notifications/:id/read
+export const markMyNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        $or: [
+          { _id: req.params.id },
+          { notification_id: req.params.id }
+        ],
+        recipient_type: 'Member',
+        recipient_id: req.member._id
+      },
+      {
+        is_read: true,
+        read_at: new Date()
+      },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      data: notification,
+      message: "Notification marked as read"
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
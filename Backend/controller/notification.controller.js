@@ -2,6 +2,7 @@ import Notification from "../models/notification.js";
 import Employee from "../models/employee.js";
 import Member from "../models/member.js";
 import mongoose from "mongoose";
+import { paginate } from "../Utils/pagination.js";
 
 // Helper function to validate recipient
 const validateRecipient = async (recipient_type, recipient_id) => {
@@ -71,19 +72,18 @@ export const getNotifications = async (req, res) => {
       if (endDate) filter.createdAt.$lte = new Date(endDate);
     }
 
-    const notifications = await Notification.find(filter)
+    const query = Notification.find(filter)
       .populate('recipient_id', 'member_id mem_name emp_id emp_name')
       .populate('created_by', 'emp_id emp_name')
       .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      count: notifications.length,
-      data: notifications
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -189,20 +189,19 @@ export const getUnreadCount = async (req, res) => {
 // @route   GET /api/notifications/my
 export const getMyNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({
+    const query = Notification.find({
       recipient_type: 'Employee',
       recipient_id: req.employee._id
     })
-    .sort({ createdAt: -1 })
-    .limit(10);
+    .sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      data: notifications
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
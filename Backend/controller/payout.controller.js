@@ -1,8 +1,31 @@
 import Payout from "../models/payout.js";
 import Group from "../models/group.js";
 import Member from "../models/member.js";
+import Scheme from "../models/scheme.js";
 import Transaction from "../models/transaction.js";
 import mongoose from "mongoose";
+import { postTransaction } from "../Utils/accounting.js";
+import { scopeByBranch, scopeByGroup, isBranchInScope } from "../Utils/branchScope.js";
+import { isExportRequest, streamExport } from "../Utils/export.js";
+import { paginate } from "../Utils/pagination.js";
+import { calculatePayout, resolveDiscount } from "../Utils/payoutCalculation.js";
+import { getRolePermissions, hasPermission } from "../Utils/permissions.js";
+import { checkPayoutGuarantors } from "../Utils/guarantor.js";
+import Guarantor from "../models/guarantor.js";
+
+// Spreadsheet columns for ?format=csv|xlsx
+const PAYOUT_EXPORT_COLUMNS = [
+  { header: 'Payout ID', value: p => p.payout_id },
+  { header: 'Group', value: p => p.group_id?.group_id },
+  { header: 'Month', value: p => p.month_number },
+  { header: 'Member ID', value: p => p.member_id?.member_id },
+  { header: 'Member Name', value: p => p.member_id?.mem_name },
+  { header: 'Amount', value: p => p.payout_amount },
+  { header: 'Processing Fee', value: p => p.processing_fee },
+  { header: 'Status', value: p => p.status },
+  { header: 'Payment Date', value: p => p.payment_date },
+  { header: 'Transaction', value: p => p.transaction_id?.transaction_id }
+];
 
 // Helper function to validate references
 const validateReferences = async (group_id, member_id) => {
@@ -21,22 +44,93 @@ const validateReferences = async (group_id, member_id) => {
 // @route   POST /api/payouts
 export const createPayout = async (req, res) => {
   try {
-    const { group_id, member_id, ...payoutData } = req.body;
+    const { group_id, member_id, month_number, payout_amount, processing_fee, override_reason } = req.body;
 
     // Validate references
     await validateReferences(group_id, member_id);
 
     // Verify member belongs to group
     const group = await Group.findById(group_id);
-    if (!group.members.some(m => m.member_id.equals(member_id))) {
+    if (!(await isBranchInScope(req, group.branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const slot = group.members.find(m => m.member_id.equals(member_id));
+    if (!slot) {
       throw new Error('Member does not belong to this group');
     }
 
+    if (slot.payout_received) {
+      throw new Error('Member has already received a payout');
+    }
+
+    const scheme = await Scheme.findById(group.scheme_id);
+    if (!scheme) {
+      throw new Error('Scheme not found');
+    }
+
+    // Prize money follows from the scheme and the month's auction or fixed discount
+    const month = Number(month_number || slot.payout_month);
+
+    // One payout per member and per month; a skipped one can be replaced
+    const existing = await Payout.findOne({
+      group_id: group._id,
+      status: { $ne: 'Skipped' },
+      $or: [{ member_id: slot.member_id }, { month_number: month }]
+    });
+    if (existing) {
+      throw new Error(existing.member_id.equals(slot.member_id)
+        ? `Member already has payout ${existing.payout_id} in this group`
+        : `Month ${month} already has payout ${existing.payout_id}`);
+    }
+    const breakdown = calculatePayout(scheme, await resolveDiscount(group, scheme, month));
+
+    const amount = payout_amount !== undefined ? Number(payout_amount) : breakdown.computed_amount;
+    const fee = processing_fee !== undefined ? Number(processing_fee) : breakdown.computed_fee;
+
+    // Figures other than the computed ones need a Manager and a reason
+    let override;
+    if (amount !== breakdown.computed_amount || fee !== breakdown.computed_fee) {
+      if (!hasPermission(await getRolePermissions(req.employee.role), 'payout:override')) {
+        return res.status(403).json({
+          success: false,
+          message: "Only a Manager can override the computed payout"
+        });
+      }
+
+      if (!override_reason || override_reason.trim() === '') {
+        return res.status(400).json({
+          success: false,
+          message: "A reason is required to override the computed payout"
+        });
+      }
+
+      if (!(amount > 0) || !(fee >= 0) || fee > amount) {
+        throw new Error('Payout amount must be positive and cover the processing fee');
+      }
+
+      override = {
+        reason: override_reason.trim(),
+        overridden_by: req.employee._id,
+        overridden_at: new Date()
+      };
+    }
+
     // Create the payout
     const payout = await Payout.create({
-      ...payoutData,
       group_id,
       member_id,
+      month_number: month,
+      payout_amount: amount,
+      processing_fee: fee,
+      breakdown: {
+        ...breakdown,
+        net_amount: Math.round((amount - fee) * 100) / 100
+      },
+      override,
       status: 'Pending' // Default status
     });
 
@@ -89,20 +183,23 @@ export const getPayouts = async (req, res) => {
       if (maxAmount) filter.payout_amount.$lte = parseFloat(maxAmount);
     }
 
-    const payouts = await Payout.find(filter)
+    const query = Payout.find(await scopeByGroup(req, filter))
       .populate('group_id', 'group_id group_name')
       .populate('member_id', 'member_id mem_name')
       .populate('transaction_id', 'transaction_id amount')
       .sort({ month_number: -1, createdAt: -1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'payouts', columns: PAYOUT_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: payouts.length,
-      data: payouts
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -113,12 +210,12 @@ export const getPayouts = async (req, res) => {
 // @route   GET /api/payouts/:id
 export const getPayoutById = async (req, res) => {
   try {
-    const payout = await Payout.findOne({
+    const payout = await Payout.findOne(await scopeByGroup(req, {
       $or: [
         { _id: req.params.id },
         { payout_id: req.params.id }
       ]
-    })
+    }))
     .populate('group_id', 'group_id group_name')
     .populate('member_id', 'member_id mem_name')
     .populate('transaction_id', 'transaction_id amount date');
@@ -146,33 +243,76 @@ export const getPayoutById = async (req, res) => {
 // @desc    Process payout payment
 // @route   POST /api/payouts/:id/process
 export const processPayout = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { transaction_id } = req.body;
+    const { transaction_id, payment_mode, reference_id } = req.body;
 
-    // Validate transaction exists
-    const transaction = await Transaction.findById(transaction_id);
-    if (!transaction) {
-      throw new Error('Transaction not found');
+    // The payout posts its own journal, so it cannot adopt an existing transaction
+    if (transaction_id) {
+      return res.status(400).json({
+        success: false,
+        message: "transaction_id cannot be supplied; processing a payout records its own transaction"
+      });
     }
 
-    const payout = await Payout.findOneAndUpdate(
-      { 
+    let payout;
+    let ledgerEntries = [];
+    await session.withTransaction(async () => {
+      payout = await Payout.findOne(await scopeByGroup(req, {
         $or: [
           { _id: req.params.id },
           { payout_id: req.params.id }
         ],
         status: 'Pending' // Only process pending payouts
-      },
-      { 
-        status: 'Paid',
-        payment_date: new Date(),
-        transaction_id
-      },
-      { new: true }
-    )
-    .populate('group_id', 'group_id group_name')
-    .populate('member_id', 'member_id mem_name')
-    .populate('transaction_id', 'transaction_id amount date');
+      })).session(session);
+
+      if (!payout) return;
+
+      // A member who still owes installments needs verified guarantors first
+      const cover = await checkPayoutGuarantors(payout, { session });
+      if (!cover.satisfied) {
+        throw new Error(
+          `Payout needs ${cover.required} verified guarantor(s) for an outstanding liability of ${cover.liability}; ${cover.verified} attached`
+        );
+      }
+
+      const group = await Group.findById(payout.group_id).session(session);
+      const fee = payout.processing_fee || 0;
+      const mode = payment_mode || 'Cash';
+
+      const [transaction] = await Transaction.create([{
+        branch_id: group.branch_id,
+        member_id: payout.member_id,
+        group_id: payout.group_id,
+        transaction_type: 'Auction',
+        amount: payout.payout_amount,
+        payment_mode: mode,
+        reference_id,
+        description: `Payout ${payout.payout_id} for month ${payout.month_number}`,
+        recorded_by: req.employee._id
+      }], { session });
+
+      // Prize money leaves the pool; any processing fee is kept as income
+      const lines = [
+        { account_code: '2000', member_id: payout.member_id, debit: payout.payout_amount, credit: 0 },
+        { account_code: mode === 'Cash' ? '1000' : '1010', debit: 0, credit: payout.payout_amount - fee }
+      ];
+      if (fee > 0) lines.push({ account_code: '4000', debit: 0, credit: fee });
+
+      ledgerEntries = await postTransaction(transaction, { lines, session });
+
+      // A paid member can no longer bid in the group's auctions
+      const slot = group.members.find(m => m.member_id.equals(payout.member_id));
+      if (slot && !slot.payout_received) {
+        slot.payout_received = true;
+        await group.save({ session });
+      }
+
+      payout.status = 'Paid';
+      payout.payment_date = new Date();
+      payout.transaction_id = transaction._id;
+      await payout.save({ session });
+    });
 
     if (!payout) {
       return res.status(404).json({
@@ -181,9 +321,16 @@ export const processPayout = async (req, res) => {
       });
     }
 
+    await payout.populate([
+      { path: 'group_id', select: 'group_id group_name' },
+      { path: 'member_id', select: 'member_id mem_name' },
+      { path: 'transaction_id', select: 'transaction_id amount date' }
+    ]);
+
     res.json({
       success: true,
       data: payout,
+      ledger_entries: ledgerEntries,
       message: "Payout processed successfully"
     });
 
@@ -192,6 +339,51 @@ export const processPayout = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
+  }
+};
+
+// @desc    Get a payout's guarantors and whether they cover the member's liability
+// @route   GET /api/payouts/:id/guarantors
+export const getPayoutGuarantors = async (req, res) => {
+  try {
+    const payout = await Payout.findOne(await scopeByGroup(req, {
+      $or: [
+        { _id: req.params.id },
+        { payout_id: req.params.id }
+      ]
+    }));
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: "Payout not found"
+      });
+    }
+
+    const [requirement, guarantors] = await Promise.all([
+      checkPayoutGuarantors(payout),
+      Guarantor.find({ payout_id: payout._id })
+        .select('-documents')
+        .populate('verified_by', 'emp_id emp_name')
+        .sort({ createdAt: 1 })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payout_id: payout.payout_id,
+        ...requirement,
+        guarantors
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
   }
 };
 
@@ -200,13 +392,13 @@ export const processPayout = async (req, res) => {
 export const skipPayout = async (req, res) => {
   try {
     const payout = await Payout.findOneAndUpdate(
-      { 
+      await scopeByGroup(req, { 
         $or: [
           { _id: req.params.id },
           { payout_id: req.params.id }
         ],
         status: 'Pending' // Only skip pending payouts
-      },
+      }),
       { 
         status: 'Skipped',
         payment_date: new Date()
@@ -252,7 +444,7 @@ export const getPayoutStats = async (req, res) => {
     }
 
     const stats = await Payout.aggregate([
-      { $match: match },
+      { $match: await scopeByGroup(req, match) },
       { 
         $group: {
           _id: {
@@ -309,12 +501,12 @@ export const getPayoutStats = async (req, res) => {
 // @route   GET /api/members/:member_id/payouts
 export const getMemberPayouts = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.member_id },
         { member_id: req.params.member_id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -323,18 +515,18 @@ export const getMemberPayouts = async (req, res) => {
       });
     }
 
-    const payouts = await Payout.find({ member_id: member._id })
+    const query = Payout.find({ member_id: member._id })
       .populate('group_id', 'group_id group_name')
       .populate('transaction_id', 'transaction_id amount date')
       .sort({ month_number: -1 });
 
     res.json({
       success: true,
-      data: payouts
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
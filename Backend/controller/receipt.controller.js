@@ -4,6 +4,36 @@ import Member from "../models/member.js";
 import Group from "../models/group.js";
 import Employee from "../models/employee.js";
 import Transaction from "../models/transaction.js";
+import Installment from "../models/installment.js";
+import mongoose from "mongoose";
+import { postTransaction, recordReversal } from "../Utils/accounting.js";
+import { pickEditable } from "../Utils/financialLock.js";
+import { getReceiptPdf } from "../Utils/receiptPdf.js";
+import { pipeFile } from "../Utils/gridFS.js";
+import { scopeByBranch, isBranchInScope } from "../Utils/branchScope.js";
+import { findBranch, getSubtree, rollUpTotals } from "../Utils/branchTree.js";
+import { isExportRequest, streamExport } from "../Utils/export.js";
+import { paginate } from "../Utils/pagination.js";
+
+// Spreadsheet columns for ?format=csv|xlsx
+const RECEIPT_EXPORT_COLUMNS = [
+  { header: 'Receipt ID', value: r => r.receipt_id },
+  { header: 'Receipt No', value: r => r.receipt_no },
+  { header: 'Date', value: r => r.receipt_date },
+  { header: 'Amount', value: r => r.receipt_amount },
+  { header: 'Payment Mode', value: r => r.payment_mode },
+  { header: 'Cheque No', value: r => r.cheque_details?.cheque_no },
+  { header: 'Status', value: r => r.status },
+  { header: 'Branch', value: r => r.branch_id?.bname },
+  { header: 'Member ID', value: r => r.member_id?.member_id },
+  { header: 'Member Name', value: r => r.member_id?.mem_name },
+  { header: 'Group', value: r => r.group_id?.group_id },
+  { header: 'Transaction', value: r => r.transaction_id?.transaction_id },
+  { header: 'Received By', value: r => r.received_by?.emp_name },
+  { header: 'Remarks', value: r => r.remarks }
+];
+
+const RECEIPT_EDITABLE_FIELDS = ['remarks'];
 
 // Helper function to validate references
 const validateReferences = async (branchId, memberId, groupId, receivedById, transactionId) => {
@@ -25,8 +55,9 @@ const validateReferences = async (branchId, memberId, groupId, receivedById, tra
 // @desc    Create a new receipt
 // @route   POST /api/receipts
 export const createReceipt = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { branch_id, member_id, group_id, transaction_id, received_by, ...receiptData } = req.body;
+    const { branch_id, member_id, group_id, transaction_id, received_by, reference_id, ...receiptData } = req.body;
 
     // Validate references
     await validateReferences(
@@ -37,28 +68,65 @@ export const createReceipt = async (req, res) => {
       transaction_id
     );
 
+    if (!(await isBranchInScope(req, branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Validate cheque details if payment mode is Cheque
     if (receiptData.payment_mode === 'Cheque' && !receiptData.cheque_details?.cheque_no) {
       throw new Error('Cheque details are required for cheque payments');
     }
 
     // Validate online/bank transfer references
-    if (['Online', 'Bank Transfer'].includes(receiptData.payment_mode) && !receiptData.transaction_id) {
+    if (['Online', 'Bank Transfer'].includes(receiptData.payment_mode) && !transaction_id && !reference_id) {
       throw new Error('Transaction reference is required for online/bank transfer payments');
     }
 
-    const receipt = await Receipt.create({
-      ...receiptData,
-      branch_id,
-      member_id,
-      group_id,
-      transaction_id,
-      received_by: received_by || req.employee._id
+    let receipt;
+    let ledgerEntries = [];
+    await session.withTransaction(async () => {
+      let transactionRef = transaction_id;
+
+      // Money received without an existing transaction is recorded and posted here
+      if (!transactionRef) {
+        const [transaction] = await Transaction.create([{
+          branch_id,
+          member_id,
+          group_id,
+          transaction_type: group_id ? 'Installment' : 'Deposit',
+          amount: receiptData.receipt_amount,
+          payment_mode: receiptData.payment_mode,
+          reference_id: reference_id || receiptData.cheque_details?.cheque_no,
+          description: receiptData.remarks,
+          recorded_by: received_by || req.employee._id,
+          status: receiptData.status === 'Pending' ? 'Pending' : 'Completed'
+        }], { session });
+
+        if (transaction.status === 'Completed') {
+          ledgerEntries = await postTransaction(transaction, { session });
+        }
+        transactionRef = transaction._id;
+      }
+
+      [receipt] = await Receipt.create([{
+        ...receiptData,
+        branch_id,
+        member_id,
+        group_id,
+        transaction_id: transactionRef,
+        installment_id: undefined, // Only set by installment payments
+        late_fee_amount: 0,
+        received_by: received_by || req.employee._id
+      }], { session });
     });
 
     res.status(201).json({
       success: true,
-      data: receipt
+      data: receipt,
+      ledger_entries: ledgerEntries
     });
 
   } catch (error) {
@@ -66,6 +134,8 @@ export const createReceipt = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -89,7 +159,7 @@ export const getReceipts = async (req, res) => {
       if (endDate) filter.receipt_date.$lte = new Date(endDate);
     }
 
-    const receipts = await Receipt.find(filter)
+    const query = Receipt.find(await scopeByBranch(req, filter))
       .populate('branch_id', 'branch_id bname')
       .populate('member_id', 'member_id mem_name')
       .populate('group_id', 'group_id')
@@ -97,14 +167,17 @@ export const getReceipts = async (req, res) => {
       .populate('received_by', 'emp_id emp_name')
       .sort({ receipt_date: -1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'receipts', columns: RECEIPT_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: receipts.length,
-      data: receipts
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -115,13 +188,13 @@ export const getReceipts = async (req, res) => {
 // @route   GET /api/receipts/:id
 export const getReceiptById = async (req, res) => {
   try {
-    const receipt = await Receipt.findOne({
+    const receipt = await Receipt.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { receipt_id: req.params.id },
         { receipt_no: req.params.id }
       ]
-    })
+    }))
     .populate('branch_id', 'branch_id bname address')
     .populate('member_id', 'member_id mem_name phone')
     .populate('group_id', 'group_id')
@@ -148,25 +221,63 @@ export const getReceiptById = async (req, res) => {
   }
 };
 
+// @desc    Download receipt as PDF
+// @route   GET /api/receipts/:id/pdf
+export const downloadReceiptPdf = async (req, res) => {
+  try {
+    const receipt = await Receipt.findOne(await scopeByBranch(req, {
+      $or: [
+        { _id: req.params.id },
+        { receipt_id: req.params.id },
+        { receipt_no: req.params.id }
+      ]
+    }))
+    .populate('branch_id', 'branch_id bname')
+    .populate('member_id', 'member_id mem_name')
+    .populate('group_id', 'group_id')
+    .populate('received_by', 'emp_id emp_name');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: "Receipt not found"
+      });
+    }
+
+    const { filename, stream, buffer } = await getReceiptPdf(receipt);
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`);
+    if (stream) return pipeFile(stream, res);
+    res.send(buffer);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Update receipt
 // @route   PUT /api/receipts/:id
 export const updateReceipt = async (req, res) => {
   try {
-    // Prevent updating certain fields
-    const { receipt_id, receipt_no, branch_id, member_id, ...updateData } = req.body;
-
-    // Validate cheque details if payment mode is being updated to Cheque
-    if (updateData.payment_mode === 'Cheque' && !updateData.cheque_details?.cheque_no) {
-      throw new Error('Cheque details are required for cheque payments');
+    // Amounts and payment details are fixed once issued; cancel and reissue instead
+    const { data: updateData, rejected } = pickEditable(req.body, RECEIPT_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${RECEIPT_EDITABLE_FIELDS.join(', ')} can be updated; cancel the receipt to correct ${rejected.join(', ')}`
+      });
     }
 
     const receipt = await Receipt.findOneAndUpdate(
-      { 
+      await scopeByBranch(req, { 
         $or: [
           { _id: req.params.id },
           { receipt_id: req.params.id }
         ]
-      },
+      }),
       updateData,
       { new: true, runValidators: true }
     )
@@ -197,18 +308,54 @@ export const updateReceipt = async (req, res) => {
 // @desc    Cancel receipt
 // @route   PATCH /api/receipts/:id/cancel
 export const cancelReceipt = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const receipt = await Receipt.findOneAndUpdate(
-      { 
+    let receipt;
+    let reversal = null;
+    await session.withTransaction(async () => {
+      receipt = await Receipt.findOne(await scopeByBranch(req, {
         $or: [
           { _id: req.params.id },
           { receipt_id: req.params.id }
         ],
         status: { $ne: 'Cancelled' }
-      },
-      { status: 'Cancelled', remarks: req.body.remarks || 'Receipt cancelled' },
-      { new: true }
-    );
+      })).session(session);
+
+      if (!receipt) return;
+
+      // Undo the money the receipt recorded
+      const transaction = receipt.transaction_id
+        ? await Transaction.findById(receipt.transaction_id).session(session)
+        : null;
+
+      if (transaction?.status === 'Completed') {
+        reversal = await recordReversal(transaction, {
+          recordedBy: req.employee._id,
+          description: `Cancellation of receipt ${receipt.receipt_no || receipt.receipt_id}`,
+          session
+        });
+
+        // A receipt issued for an installment no longer counts towards it. Older
+        // receipts carry no installment_id and only match their latest payment.
+        const installment = receipt.installment_id
+          ? await Installment.findById(receipt.installment_id).session(session)
+          : await Installment.findOne({ transaction_id: transaction.transaction_id }).session(session);
+        if (installment) {
+          const lateFee = receipt.late_fee_amount || 0;
+          installment.paid_amount = Math.max(0, (installment.paid_amount || 0) - (Math.abs(transaction.amount) - lateFee));
+          installment.late_fee_paid = Math.max(0, (installment.late_fee_paid || 0) - lateFee);
+          installment.status = installment.paid_amount > 0 ? 'Partial' : 'Pending';
+          await installment.save({ session });
+        }
+      } else if (transaction?.status === 'Pending') {
+        transaction.status = 'Failed';
+        await transaction.save({ session });
+      }
+
+      receipt.status = 'Cancelled';
+      receipt.remarks = req.body.remarks || 'Receipt cancelled';
+      await receipt.save({ session });
+    });
 
     if (!receipt) {
       return res.status(404).json({
@@ -222,7 +369,12 @@ export const cancelReceipt = async (req, res) => {
       data: {
         receipt_id: receipt.receipt_id,
         receipt_no: receipt.receipt_no,
-        status: receipt.status
+        status: receipt.status,
+        reversal: reversal && {
+          transaction_id: reversal.reversal.transaction_id,
+          amount: reversal.reversal.amount,
+          ledger_entries: reversal.ledger_entries.length
+        }
       },
       message: "Receipt cancelled successfully"
     });
@@ -232,6 +384,8 @@ export const cancelReceipt = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -251,8 +405,10 @@ export const getReceiptStats = async (req, res) => {
       if (endDate) match.receipt_date.$lte = new Date(endDate);
     }
 
+    const scoped = await scopeByBranch(req, match);
+
     const stats = await Receipt.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: {
           year: { $year: "$receipt_date" },
@@ -275,7 +431,7 @@ export const getReceiptStats = async (req, res) => {
 
     // Calculate overall totals
     const totals = await Receipt.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: null,
         totalReceipts: { $sum: 1 },
@@ -298,6 +454,66 @@ export const getReceiptStats = async (req, res) => {
       }
     });
 
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get receipt statistics for a branch and everything below it
+// @route   GET /api/receipts/stats/rollup
+export const getReceiptStatsRollup = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const root = await findBranch(req.query.branch_id);
+    if (!root) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found"
+      });
+    }
+
+    if (!(await isBranchInScope(req, root._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const subtree = await getSubtree(root);
+
+    const match = { branch_id: { $in: subtree.map(b => b._id) } };
+
+    // Date range filter
+    if (startDate || endDate) {
+      match.receipt_date = {};
+      if (startDate) match.receipt_date.$gte = new Date(startDate);
+      if (endDate) match.receipt_date.$lte = new Date(endDate);
+    }
+
+    const rows = await Receipt.aggregate([
+      { $match: match },
+      { $group: {
+        _id: "$branch_id",
+        totalReceipts: { $sum: 1 },
+        totalAmount: { $sum: "$receipt_amount" }
+      }}
+    ]);
+
+    const nodes = rollUpTotals(subtree, rows, ['totalReceipts', 'totalAmount']);
+
+    res.json({
+      success: true,
+      data: {
+        branch: nodes[0],
+        overall: nodes[0].rollup,
+        branches: nodes
+      }
+    });
+
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,131 @@
+import Role, { PERMISSIONS, isValidPermission } from "../models/role.js";
+import { getRolePermissions, clearPermissionCache } from "../Utils/permissions.js";
+
+// @desc    Get roles with their permissions
+// @route   GET /api/roles
+export const getRoles = async (req, res) => {
+  try {
+    // Seed the default mapping on first use
+    await getRolePermissions();
+
+    const roles = await Role.find()
+      .populate('updated_by', 'emp_id emp_name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the permission catalogue
+// @route   GET /api/roles/permissions
+export const getPermissions = async (req, res) => {
+  try {
+    const data = Object.entries(PERMISSIONS).map(([key, description]) => ({
+      key,
+      resource: key.split(':')[0],
+      description
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the logged-in employee's permissions
+// @route   GET /api/roles/me
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await getRolePermissions(req.employee.role);
+
+    res.json({
+      success: true,
+      data: {
+        role: req.employee.role,
+        permissions
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace the permissions of a role
+// @route   PUT /api/roles/:name
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const { permissions, description } = req.body;
+
+    // Admins always keep full access so nobody can lock themselves out
+    if (req.params.name === 'Admin') {
+      return res.status(400).json({
+        success: false,
+        message: "Admin permissions cannot be changed"
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: "Permissions must be an array"
+      });
+    }
+
+    const unknown = permissions.filter(p => !isValidPermission(p));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    await getRolePermissions();
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found"
+      });
+    }
+
+    role.permissions = [...new Set(permissions)];
+    if (description !== undefined) role.description = description;
+    role.updated_by = req.employee._id;
+    await role.save();
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      data: role
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
@@ -1,5 +1,6 @@
 import Scheme from "../models/scheme.js";
 import Employee from "../models/employee.js";
+import { paginate } from "../Utils/pagination.js";
 
 // @desc    Create a new scheme
 // @route   POST /api/schemes
@@ -99,18 +100,17 @@ export const getSchemes = async (req, res) => {
       if (ranges[type]) filter.chit_amount = ranges[type];
     }
 
-    const schemes = await Scheme.find(filter)
+    const query = Scheme.find(filter)
       .populate('created_by', 'emp_id emp_name')
       .sort({ chit_amount: -1 });
 
     res.json({
       success: true,
-      count: schemes.length,
-      data: schemes
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -3,6 +3,35 @@ import Member from "../models/member.js";
 import Group from "../models/group.js";
 import Branch from "../models/branch.js";
 import Employee from "../models/employee.js";
+import Receipt from "../models/receipt.js";
+import Payout from "../models/payout.js";
+import mongoose from "mongoose";
+import { postTransaction, recordReversal } from "../Utils/accounting.js";
+import { pickEditable } from "../Utils/financialLock.js";
+import { scopeByBranch, isBranchInScope } from "../Utils/branchScope.js";
+import { findBranch, getSubtree, rollUpTotals } from "../Utils/branchTree.js";
+import { isExportRequest, streamExport } from "../Utils/export.js";
+import { paginate } from "../Utils/pagination.js";
+
+// Spreadsheet columns for ?format=csv|xlsx
+const TRANSACTION_EXPORT_COLUMNS = [
+  { header: 'Transaction ID', value: t => t.transaction_id },
+  { header: 'Date', value: t => t.transaction_date },
+  { header: 'Type', value: t => t.transaction_type },
+  { header: 'Amount', value: t => t.amount },
+  { header: 'Payment Mode', value: t => t.payment_mode },
+  { header: 'Reference', value: t => t.reference_id },
+  { header: 'Status', value: t => t.status },
+  { header: 'Reversal', value: t => (t.is_reversal ? 'Yes' : 'No') },
+  { header: 'Branch', value: t => t.branch_id?.bname },
+  { header: 'Member ID', value: t => t.member_id?.member_id },
+  { header: 'Member Name', value: t => t.member_id?.mem_name },
+  { header: 'Group', value: t => t.group_id?.group_id },
+  { header: 'Recorded By', value: t => t.recorded_by?.emp_name },
+  { header: 'Description', value: t => t.description }
+];
+
+const TRANSACTION_EDITABLE_FIELDS = ['description'];
 
 // Helper to validate references
 const validateReferences = async (branchId, memberId, groupId, employeeId) => {
@@ -22,8 +51,18 @@ const validateReferences = async (branchId, memberId, groupId, employeeId) => {
 // @desc    Create a transaction
 // @route   POST /api/transactions
 export const createTransaction = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const { branch_id, member_id, group_id, recorded_by, ...transactionData } = req.body;
+    const { branch_id, member_id, group_id, recorded_by, is_reversal, ...transactionData } = req.body;
+
+    // Nothing moves a transaction to Completed later, so one that is not
+    // Completed now would never reach the ledger
+    if (transactionData.status && transactionData.status !== 'Completed') {
+      return res.status(400).json({
+        success: false,
+        message: "Transactions can only be recorded as Completed"
+      });
+    }
 
     // Validate references
     await validateReferences(
@@ -33,6 +72,13 @@ export const createTransaction = async (req, res) => {
       recorded_by || req.employee._id
     );
 
+    if (!(await isBranchInScope(req, branch_id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
     // Additional validation based on transaction type
     if (transactionData.transaction_type === 'Installment' && !group_id) {
       throw new Error('Group ID is required for installment transactions');
@@ -42,17 +88,25 @@ export const createTransaction = async (req, res) => {
       throw new Error('Member ID is required for deposit/withdrawal transactions');
     }
 
-    const transaction = await Transaction.create({
-      ...transactionData,
-      branch_id,
-      member_id,
-      group_id,
-      recorded_by: recorded_by || req.employee._id
+    let transaction;
+    let ledgerEntries = [];
+    await session.withTransaction(async () => {
+      [transaction] = await Transaction.create([{
+        ...transactionData,
+        branch_id,
+        member_id,
+        group_id,
+        recorded_by: recorded_by || req.employee._id
+      }], { session });
+
+      // Every transaction posts its balanced journal straight away
+      ledgerEntries = await postTransaction(transaction, { session });
     });
 
     res.status(201).json({
       success: true,
-      data: transaction
+      data: transaction,
+      ledger_entries: ledgerEntries
     });
 
   } catch (error) {
@@ -60,6 +114,8 @@ export const createTransaction = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -103,21 +159,24 @@ export const getTransactions = async (req, res) => {
       if (maxAmount) filter.amount.$lte = parseFloat(maxAmount);
     }
 
-    const transactions = await Transaction.find(filter)
+    const query = Transaction.find(await scopeByBranch(req, filter))
       .populate('branch_id', 'branch_id bname')
       .populate('member_id', 'member_id mem_name')
       .populate('group_id', 'group_id')
       .populate('recorded_by', 'emp_id emp_name')
       .sort({ transaction_date: -1 });
 
+    if (isExportRequest(req)) {
+      return streamExport(req, res, query, { filename: 'transactions', columns: TRANSACTION_EXPORT_COLUMNS });
+    }
+
     res.json({
       success: true,
-      count: transactions.length,
-      data: transactions
+      ...(await paginate(req, query))
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: error.message
     });
@@ -128,12 +187,12 @@ export const getTransactions = async (req, res) => {
 // @route   GET /api/transactions/:id
 export const getTransactionById = async (req, res) => {
   try {
-    const transaction = await Transaction.findOne({
+    const transaction = await Transaction.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { transaction_id: req.params.id }
       ]
-    })
+    }))
     .populate('branch_id', 'branch_id bname')
     .populate('member_id', 'member_id mem_name phone')
     .populate('group_id', 'group_id')
@@ -164,21 +223,22 @@ export const getTransactionById = async (req, res) => {
 // @route   PUT /api/transactions/:id
 export const updateTransaction = async (req, res) => {
   try {
-    // Prevent updating certain fields
-    const { transaction_id, branch_id, member_id, group_id, recorded_by, ...updateData } = req.body;
-
-    // Additional validation for status changes
-    if (updateData.status === 'Reversed' && !updateData.related_transaction) {
-      throw new Error('Related transaction required when reversing');
+    // Money fields are never edited; corrections go through POST /:id/reverse
+    const { data: updateData, rejected } = pickEditable(req.body, TRANSACTION_EDITABLE_FIELDS);
+    if (rejected.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${TRANSACTION_EDITABLE_FIELDS.join(', ')} can be updated; reverse the transaction to correct ${rejected.join(', ')}`
+      });
     }
 
     const transaction = await Transaction.findOneAndUpdate(
-      { 
+      await scopeByBranch(req, { 
         $or: [
           { _id: req.params.id },
           { transaction_id: req.params.id }
         ]
-      },
+      }),
       updateData,
       { new: true, runValidators: true }
     )
@@ -209,50 +269,51 @@ export const updateTransaction = async (req, res) => {
 // @desc    Reverse a transaction
 // @route   POST /api/transactions/:id/reverse
 export const reverseTransaction = async (req, res) => {
+  const session = await mongoose.startSession();
   try {
-    const original = await Transaction.findOne({
-      $or: [
-        { _id: req.params.id },
-        { transaction_id: req.params.id }
-      ]
+    let result;
+    await session.withTransaction(async () => {
+      const original = await Transaction.findOne(await scopeByBranch(req, {
+        $or: [
+          { _id: req.params.id },
+          { transaction_id: req.params.id }
+        ]
+      })).session(session);
+
+      if (!original) {
+        result = null;
+        return;
+      }
+
+      // A bare reversal would leave the receipt or payout it settles looking paid
+      const [receipt, payout] = await Promise.all([
+        Receipt.findOne({ transaction_id: original._id, status: { $ne: 'Cancelled' } }).session(session),
+        Payout.findOne({ transaction_id: original._id }).session(session)
+      ]);
+      if (receipt) {
+        throw new Error(`Transaction is settled by receipt ${receipt.receipt_id}; cancel the receipt instead`);
+      }
+      if (payout) {
+        throw new Error(`Transaction pays out ${payout.payout_id} and cannot be reversed on its own`);
+      }
+
+      result = await recordReversal(original, {
+        recordedBy: req.employee._id,
+        description: req.body?.description,
+        session
+      });
     });
 
-    if (!original) {
+    if (!result) {
       return res.status(404).json({
         success: false,
         message: "Transaction not found"
       });
     }
 
-    if (original.status === 'Reversed') {
-      return res.status(400).json({
-        success: false,
-        message: "Transaction already reversed"
-      });
-    }
-
-    // Create reversal transaction
-    const reversal = await Transaction.create({
-      ...original.toObject(),
-      _id: undefined,
-      transaction_id: undefined,
-      amount: -original.amount,
-      status: 'Completed',
-      description: `Reversal of ${original.transaction_id}`,
-      related_transaction: original._id
-    });
-
-    // Update original transaction
-    original.status = 'Reversed';
-    original.related_transaction = reversal._id;
-    await original.save();
-
     res.status(201).json({
       success: true,
-      data: {
-        original: original,
-        reversal: reversal
-      },
+      data: result,
       message: "Transaction reversed successfully"
     });
 
@@ -261,6 +322,8 @@ export const reverseTransaction = async (req, res) => {
       success: false,
       message: error.message
     });
+  } finally {
+    await session.endSession();
   }
 };
 
@@ -283,8 +346,10 @@ export const getTransactionSummary = async (req, res) => {
       if (endDate) match.transaction_date.$lte = new Date(endDate);
     }
 
+    const scoped = await scopeByBranch(req, match);
+
     const summary = await Transaction.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: '$transaction_type',
         count: { $sum: 1 },
@@ -303,7 +368,7 @@ export const getTransactionSummary = async (req, res) => {
 
     // Calculate overall totals
     const totals = await Transaction.aggregate([
-      { $match: match },
+      { $match: scoped },
       { $group: {
         _id: null,
         totalTransactions: { $sum: 1 },
@@ -327,16 +392,94 @@ export const getTransactionSummary = async (req, res) => {
   }
 };
 
+// @desc    Get transaction summary for a branch and everything below it
+// @route   GET /api/transactions/summary/rollup
+export const getTransactionSummaryRollup = async (req, res) => {
+  try {
+    const { type, startDate, endDate } = req.query;
+
+    const root = await findBranch(req.query.branch_id);
+    if (!root) {
+      return res.status(404).json({
+        success: false,
+        message: "Branch not found"
+      });
+    }
+
+    if (!(await isBranchInScope(req, root._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized for this branch"
+      });
+    }
+
+    const subtree = await getSubtree(root);
+
+    const match = { branch_id: { $in: subtree.map(b => b._id) } };
+    if (type) match.transaction_type = type;
+
+    // Date range filter
+    if (startDate || endDate) {
+      match.transaction_date = {};
+      if (startDate) match.transaction_date.$gte = new Date(startDate);
+      if (endDate) match.transaction_date.$lte = new Date(endDate);
+    }
+
+    const rows = await Transaction.aggregate([
+      { $match: match },
+      { $group: {
+        _id: '$branch_id',
+        totalTransactions: { $sum: 1 },
+        netAmount: { $sum: '$amount' }
+      }}
+    ]);
+
+    const byType = await Transaction.aggregate([
+      { $match: match },
+      { $group: {
+        _id: '$transaction_type',
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$amount' }
+      }},
+      { $project: {
+        transactionType: '$_id',
+        count: 1,
+        totalAmount: { $round: ['$totalAmount', 2] },
+        _id: 0
+      }},
+      { $sort: { totalAmount: -1 } }
+    ]);
+
+    const nodes = rollUpTotals(subtree, rows, ['totalTransactions', 'netAmount']);
+
+    res.json({
+      success: true,
+      data: {
+        branch: nodes[0],
+        byType,
+        overall: nodes[0].rollup,
+        branches: nodes
+      }
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 // @desc    Get member transaction summary
 // @route   GET /api/members/:id/transactions/summary
 export const getMemberTransactionSummary = async (req, res) => {
   try {
-    const member = await Member.findOne({
+    const member = await Member.findOne(await scopeByBranch(req, {
       $or: [
         { _id: req.params.id },
         { member_id: req.params.id }
       ]
-    });
+    }));
 
     if (!member) {
       return res.status(404).json({
@@ -1,6 +1,8 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
+// Registers the audit plugin, so it must load before any model
+import { auditContext } from './Utils/audit.js';
 import employeeRoutes from './routes/Employee.js';
 import branchRoutes from "./routes/Branch.js";
 import groupRoutes from "./routes/Group.js";
@@ -13,6 +15,18 @@ import installmentRoutes from './routes/Installment.js';
 import notificationRoutes from './routes/Notification.js';
 import payoutRoutes from './routes/Payout.js';
 import bookingRoutes from './routes/Booking.js';
+import auctionRoutes from './routes/Auction.js';
+import dividendRoutes from './routes/Dividend.js';
+import accountRoutes from './routes/Account.js';
+import jobRoutes from './routes/Job.js';
+import memberPortalRoutes from './routes/MemberPortal.js';
+import roleRoutes from './routes/Role.js';
+import auditLogRoutes from './routes/AuditLog.js';
+import guarantorRoutes from './routes/Guarantor.js';
+import kycRoutes from './routes/Kyc.js';
+import { startScheduler } from './Utils/scheduler.js';
+import { migrateLegacyParents, migrateLegacyLevels } from './Utils/branchTree.js';
+import { migrateLegacyLedger } from './Utils/accounting.js';
 
 import cors from 'cors';
 dotenv.config();
@@ -20,6 +34,7 @@ dotenv.config();
 const app = express();
 app.use(cors({ origin: 'http://localhost:4200', credentials: true }));
 app.use(express.json());  
+app.use(auditContext);
 
 app.use('/api/employees', employeeRoutes);
 app.use('/api/branches', branchRoutes);
@@ -33,6 +48,15 @@ app.use('/api/installments', installmentRoutes);
 app.use('/api/notifications', notificationRoutes); 
 app.use('/api/payouts', payoutRoutes); 
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/auctions', auctionRoutes);
+app.use('/api/dividends', dividendRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/portal', memberPortalRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/guarantors', guarantorRoutes);
+app.use('/api/kyc', kycRoutes);
 
 app.use((err, req, res, next) => {
     const statusCode = err.status || 500;
@@ -49,6 +73,15 @@ const connectMongoose = async () => {
     try {
         await mongoose.connect(process.env.MONGO_CONNECT);
         console.log('MongoDB Connected...');
+        const migrated = await migrateLegacyParents();
+        if (migrated > 0) console.log(`Linked ${migrated} legacy branch parents`);
+        const levelled = await migrateLegacyLevels();
+        if (levelled > 0) console.log(`Assigned levels to ${levelled} legacy branches`);
+        const ledgerLines = await migrateLegacyLedger();
+        if (ledgerLines > 0) console.log(`Assigned accounts to ${ledgerLines} legacy ledger lines`);
+        if (process.env.DISABLE_JOBS !== 'true') {
+            await startScheduler();
+        }
     } catch (error) {
         console.error('Error connecting to MongoDB:', error.message);
         process.exit(1);
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+// Chart of accounts every branch posts against
+export const DEFAULT_ACCOUNTS = [
+    { code: '1000', name: 'Cash', type: 'Asset' },
+    { code: '1010', name: 'Bank', type: 'Asset' },
+    { code: '1100', name: 'Member Receivable', type: 'Asset' },
+    { code: '2000', name: 'Payout Payable', type: 'Liability' },
+    { code: '2100', name: 'Member Deposits', type: 'Liability' },
+    { code: '2900', name: 'Suspense', type: 'Liability' },
+    { code: '4000', name: 'Commission Income', type: 'Income' },
+    { code: '4100', name: 'Penalty Income', type: 'Income' }
+];
+
+const AccountSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['Asset', 'Liability', 'Equity', 'Income', 'Expense'],
+        required: true
+    },
+    is_system: {
+        type: Boolean,
+        default: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    description: {
+        type: String
+    }
+}, { timestamps: true });
+
+// Debit-normal accounts grow with debits, the rest with credits
+AccountSchema.virtual('normal_balance').get(function () {
+    return ['Asset', 'Expense'].includes(this.type) ? 'Debit' : 'Credit';
+});
+
+// Create any default accounts that are missing
+AccountSchema.statics.ensureDefaults = async function () {
+    await this.bulkWrite(DEFAULT_ACCOUNTS.map(account => ({
+        updateOne: {
+            filter: { code: account.code },
+            update: { $setOnInsert: { ...account, is_system: true } },
+            upsert: true
+        }
+    })));
+};
+
+export default mongoose.model("Account", AccountSchema);
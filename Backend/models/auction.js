@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+
+const AuctionSchema = new mongoose.Schema({
+    auction_id: {
+        type: String,
+        unique: true
+    },
+    group_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    month_number: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    chit_amount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Open', 'Closed', 'Cancelled'],
+        default: 'Open'
+    },
+    bids: [{
+        member_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Member',
+            required: true
+        },
+        discount_amount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        placed_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employee'
+        },
+        bid_time: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    winner_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    winning_discount: {
+        type: Number
+    },
+    payout_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout'
+    },
+    opened_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    opened_at: {
+        type: Date,
+        default: Date.now
+    },
+    closed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    closed_at: {
+        type: Date
+    },
+    remarks: {
+        type: String
+    }
+}, { timestamps: true });
+
+// Auto-increment auction_id
+AuctionSchema.pre('save', async function(next) {
+    if (!this.isNew || this.auction_id) return next();
+
+    try {
+        this.auction_id = await nextId(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Highest discount wins; ties go to the earliest bid
+AuctionSchema.methods.getHighestBid = function() {
+    return this.bids.reduce((highest, bid) => {
+        if (!highest || bid.discount_amount > highest.discount_amount) return bid;
+        return highest;
+    }, null);
+};
+
+// One live auction per group month; cancelled ones may be reopened
+AuctionSchema.index(
+    { group_id: 1, month_number: 1 },
+    { name: 'group_month_live', unique: true, partialFilterExpression: { status: { $in: ['Open', 'Closed'] } } }
+);
+AuctionSchema.index({ status: 1 });
+
+export default mongoose.model('Auction', AuctionSchema);
@@ -0,0 +1,88 @@
+import mongoose from "mongoose";
+
+const ChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One entry per document created, updated or deleted through the API
+const AuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['Create', 'Update', 'Delete'],
+        required: true
+    },
+    entity: {
+        type: String,
+        required: true
+    },
+    entity_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Human-readable id such as MEM001, when the model has one
+    entity_ref: {
+        type: String
+    },
+    changes: [ChangeSchema],
+    actor_type: {
+        type: String,
+        enum: ['Employee', 'Member', 'Anonymous'],
+        required: true
+    },
+    employee_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    method: {
+        type: String
+    },
+    route: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    user_agent: {
+        type: String
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AuditLogSchema.index({ entity: 1, entity_id: 1, timestamp: -1 });
+AuditLogSchema.index({ employee_id: 1, timestamp: -1 });
+AuditLogSchema.index({ timestamp: -1 });
+
+// Entries are append-only
+const rejectChange = function (next) {
+    next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+AuditLogSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectChange(next);
+    next();
+});
+
+AuditLogSchema.pre([
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+], rejectChange);
+
+export default mongoose.model("AuditLog", AuditLogSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
 
 const BookingSchema = new mongoose.Schema({
     booking_id: {
@@ -34,6 +35,9 @@ const BookingSchema = new mongoose.Schema({
     booked_at: {
         type: Date,
         default: Date.now
+    },
+    remarks: {
+        type: String
     }
 }, { timestamps: true });
 
@@ -42,16 +46,7 @@ BookingSchema.pre('save', async function (next) {
     if (!this.isNew || this.booking_id) return next();
     
     try {
-        const lastBooking = await this.constructor.findOne({}, {}, { sort: { 'booking_id': -1 } });
-        let newId = 'BKG001'; // Default starting ID
-        
-        if (lastBooking && lastBooking.booking_id) {
-            // Extract the numeric part and increment
-            const lastIdNumber = parseInt(lastBooking.booking_id.replace('BKG', ''), 10);
-            newId = `BKG${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        
-        this.booking_id = newId;
+        this.booking_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
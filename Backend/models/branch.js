@@ -1,4 +1,8 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
+
+// Top of the tree first; a branch can only sit under a higher level
+export const BRANCH_LEVELS = ['HeadOffice', 'Region', 'Branch'];
 
 const BranchSchema = new mongoose.Schema({
     branch_id: {
@@ -10,9 +14,21 @@ const BranchSchema = new mongoose.Schema({
         required: true,
         unique: true,
     },
+    // Head office has no parent
     parent_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        default: null
+    },
+    // Path from the root down to the parent, kept in sync on move
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    }],
+    level: {
         type: String,
-        required: true,
+        enum: BRANCH_LEVELS,
+        default: 'Branch'
     },
     start_date: {
         type: Date,
@@ -25,21 +41,15 @@ const BranchSchema = new mongoose.Schema({
     }
 }, { timestamps: true });
 
+BranchSchema.index({ ancestors: 1 });
+BranchSchema.index({ parent_id: 1 });
+
 // Auto-increment branch_id
 BranchSchema.pre('save', async function (next) {
     if (!this.isNew || this.branch_id) return next();
     
     try {
-        const lastBranch = await this.constructor.findOne({}, {}, { sort: { 'branch_id': -1 } });
-        let newId = 'BRN001'; // Default starting ID
-        
-        if (lastBranch && lastBranch.branch_id) {
-            // Extract the numeric part and increment
-            const lastIdNumber = parseInt(lastBranch.branch_id.replace('BRN', ''), 10);
-            newId = `BRN${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        
-        this.branch_id = newId;
+        this.branch_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
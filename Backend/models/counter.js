@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// One running number per ID sequence, e.g. "Group.group_id:GRP"
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, { versionKey: false });
+
+export default mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+
+const DividendSchema = new mongoose.Schema({
+    dividend_id: {
+        type: String,
+        unique: true
+    },
+    auction_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Auction',
+        required: true
+    },
+    group_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        required: true
+    },
+    month_number: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    installment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Installment'
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'Applied', 'Refunded'],
+        default: 'Pending'
+    },
+    applied_at: {
+        type: Date
+    },
+    transaction_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction' // Refund paid out when the group closed
+    }
+}, { timestamps: true });
+
+// Auto-increment dividend_id
+DividendSchema.pre('save', async function(next) {
+    if (!this.isNew || this.dividend_id) return next();
+
+    try {
+        this.dividend_id = await nextId(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+DividendSchema.index({ member_id: 1, group_id: 1, status: 1 });
+DividendSchema.index({ auction_id: 1 });
+
+export default mongoose.model('Dividend', DividendSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { nextId } from '../Utils/sequence.js';
 
 const EmployeeSchema = new mongoose.Schema({
     emp_id: {
@@ -58,6 +59,11 @@ photo: {
     joining_date: {
         type: Date,
         default: Date.now
+    },
+    // Bumped to invalidate every access token issued before it
+    token_version: {
+        type: Number,
+        default: 0
     }
 }, { timestamps: true });
 
@@ -65,13 +71,7 @@ photo: {
 EmployeeSchema.pre('save', async function (next) {
     if (!this.isNew || this.emp_id) return next();
     try {
-        const lastEmployee = await this.constructor.findOne({}, {}, { sort: { 'emp_id': -1 } });
-        let newId = 'EMP001';
-        if (lastEmployee && lastEmployee.emp_id) {
-            const lastIdNumber = parseInt(lastEmployee.emp_id.replace('EMP', ''), 10);
-            newId = `EMP${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        this.emp_id = newId;
+        this.emp_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
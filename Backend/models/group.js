@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+import { lockFinancialRecord } from '../Utils/financialLock.js';
 
 const groupSchema = new mongoose.Schema({
     group_id: {
@@ -47,6 +49,16 @@ const groupSchema = new mongoose.Schema({
     current_month: {
         type: Number,
         default: 1
+    },
+    // Set once when the group is closed and settled
+    closure: {
+        closed_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employee'
+        },
+        closed_at: Date,
+        remarks: String,
+        summary: mongoose.Schema.Types.Mixed
     }
 }, { timestamps: true });
 
@@ -55,16 +67,7 @@ groupSchema.pre('save', async function(next) {
     if (!this.isNew || this.group_id) return next();
     
     try {
-        const lastGroup = await this.constructor.findOne({}, {}, { sort: { 'group_id': -1 } });
-        let newId = 'GRP001'; // Default starting ID
-        
-        if (lastGroup && lastGroup.group_id) {
-            // Extract the numeric part and increment
-            const lastIdNumber = parseInt(lastGroup.group_id.replace('GRP', ''), 10);
-            newId = `GRP${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        
-        this.group_id = newId;
+        this.group_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
@@ -101,6 +104,14 @@ groupSchema.pre('save', async function(next) {
     }
 });
 
+// A closed group's accounts are settled; nothing about it changes afterwards
+lockFinancialRecord(groupSchema, {
+    lockedFilter: { status: 'Completed', 'closure.closed_at': { $exists: true } },
+    isLocked: doc => doc.status === 'Completed' && Boolean(doc.closure?.closed_at),
+    editable: [],
+    message: 'Completed groups are closed and cannot be changed'
+});
+
 // Add a static method to validate payout months against scheme duration
 groupSchema.statics.validatePayoutMonths = async function(groupData) {
     const scheme = await mongoose.model('Scheme').findById(groupData.scheme_id);
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+
+export const GUARANTOR_DOCUMENT_TYPES = ['Income Proof', 'Identity Proof', 'Address Proof', 'Other'];
+
+// Surety for a prized member who still owes installments
+const GuarantorSchema = new mongoose.Schema({
+    guarantor_id: {
+        type: String,
+        unique: true
+    },
+    member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        required: true
+    },
+    branch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    payout_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payout'
+    },
+    // Set when the guarantor is a member too
+    guarantor_member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    relationship: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    mobile: {
+        type: String,
+        required: true
+    },
+    address: {
+        type: String,
+        required: true
+    },
+    uid: {
+        type: String, // Aadhaar, PAN or similar
+        required: true,
+        trim: true
+    },
+    occupation: {
+        type: String
+    },
+    monthly_income: {
+        type: Number,
+        min: 0
+    },
+    documents: [{
+        filename: {
+            type: String, // Name in the GridFS bucket
+            required: true
+        },
+        original_name: String,
+        content_type: String,
+        doc_type: {
+            type: String,
+            enum: GUARANTOR_DOCUMENT_TYPES,
+            default: 'Income Proof'
+        },
+        uploaded_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employee'
+        },
+        uploaded_at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    status: {
+        type: String,
+        enum: ['Pending', 'Verified', 'Rejected'],
+        default: 'Pending'
+    },
+    verified_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    verified_at: {
+        type: Date
+    },
+    remarks: {
+        type: String
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    }
+}, { timestamps: true });
+
+// Auto-increment guarantor_id
+GuarantorSchema.pre('save', async function(next) {
+    if (!this.isNew || this.guarantor_id) return next();
+
+    try {
+        this.guarantor_id = await nextId(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+GuarantorSchema.index({ member_id: 1 });
+GuarantorSchema.index({ payout_id: 1, status: 1 });
+
+export default mongoose.model('Guarantor', GuarantorSchema);
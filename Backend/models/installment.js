@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
 
 const InstallmentSchema = new mongoose.Schema({
   installment_id: {
@@ -49,13 +50,39 @@ const InstallmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Paid', 'Partial', 'Late'],
+    enum: ['Pending', 'Paid', 'Partial', 'Late', 'Written Off'],
     default: 'Pending'
   },
   late_fee: {
     type: Number,
     default: 0
   },
+  late_fee_paid: {
+    type: Number,
+    default: 0 // Collected into Penalty Income, out of late_fee
+  },
+  late_fee_waiver: {
+    waived_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    reason: String,
+    waived_amount: Number,
+    waived_at: Date
+  },
+  write_off: {
+    written_off_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employee'
+    },
+    reason: String,
+    amount: Number,
+    written_off_at: Date
+  },
+  dividend_amount: {
+    type: Number,
+    default: 0 // Auction dividend already deducted from amount
+  },
   collected_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
@@ -76,15 +103,7 @@ InstallmentSchema.pre('save', async function(next) {
   try {
     // Generate installment_id if it's a new document
     if (this.isNew && !this.installment_id) {
-      const lastInstallment = await this.constructor.findOne({}, {}, { sort: { 'installment_id': -1 } });
-      let newId = 'INS001';
-      
-      if (lastInstallment && lastInstallment.installment_id) {
-        const lastIdNumber = parseInt(lastInstallment.installment_id.replace('INS', ''), 10);
-        newId = `INS${String(lastIdNumber + 1).padStart(3, '0')}`;
-      }
-      
-      this.installment_id = newId;
+      this.installment_id = await nextId(this);
     }
     
     // Auto-increment installment_number for this member in this group
@@ -104,18 +123,20 @@ InstallmentSchema.pre('save', async function(next) {
     // Calculate pending amount
     this.pending_amount = this.amount - (this.paid_amount || 0);
     
-    // Set status based on payment
-    if (this.paid_amount && this.paid_amount > 0) {
-      if (this.pending_amount <= 0) {
-        this.status = 'Paid';
-      } else if (this.paid_amount < this.amount) {
-        this.status = 'Partial';
+    // Set status based on payment; a written-off balance stays written off
+    if (this.status !== 'Written Off') {
+      if (this.paid_amount && this.paid_amount > 0) {
+        if (this.pending_amount <= 0) {
+          this.status = 'Paid';
+        } else if (this.paid_amount < this.amount) {
+          this.status = 'Partial';
+        }
+      }
+
+      // If due date has passed and not fully paid, mark as Late
+      if (this.due_date < new Date() && this.pending_amount > 0) {
+        this.status = 'Late';
       }
-    }
-    
-    // If due date has passed and not fully paid, mark as Late
-    if (this.due_date < new Date() && this.pending_amount > 0) {
-      this.status = 'Late';
     }
     
     // Generate installment period based on scheme and installment number
@@ -145,6 +166,9 @@ InstallmentSchema.pre('save', async function(next) {
   }
 });
 
+// One installment per period for each member of a group
+InstallmentSchema.index({ group_id: 1, member_id: 1, installment_number: 1 }, { unique: true });
+
 // Virtual property for progress percentage
 InstallmentSchema.virtual('paymentProgress').get(function() {
   if (!this.amount || this.amount === 0) return 0;
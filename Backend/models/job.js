@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Schedule and lock state for a background job, one document per job
+const JobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    next_run_at: {
+        type: Date,
+        required: true
+    },
+    locked_by: {
+        type: String,
+        default: null
+    },
+    locked_until: {
+        type: Date,
+        default: null
+    },
+    last_run_at: {
+        type: Date
+    },
+    last_status: {
+        type: String,
+        enum: ['Succeeded', 'Failed']
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+export default mongoose.model('Job', JobSchema);
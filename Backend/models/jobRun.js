@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const JobRunSchema = new mongoose.Schema({
+    job_name: {
+        type: String,
+        required: true
+    },
+    instance_id: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['Schedule', 'Manual'],
+        default: 'Schedule'
+    },
+    triggered_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    status: {
+        type: String,
+        enum: ['Running', 'Succeeded', 'Failed'],
+        default: 'Running'
+    },
+    started_at: {
+        type: Date,
+        default: Date.now
+    },
+    finished_at: {
+        type: Date
+    },
+    result: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+        type: String
+    }
+}, { timestamps: true });
+
+JobRunSchema.index({ job_name: 1, started_at: -1 });
+
+export default mongoose.model('JobRun', JobRunSchema);
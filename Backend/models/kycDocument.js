@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+
+export const KYC_DOCUMENT_TYPES = ['ID Proof', 'Address Proof', 'PAN', 'Bank Passbook', 'Signed Agreement'];
+
+// Types every member must have on file and verified; KYC_REQUIRED_DOCUMENTS narrows the list
+export const REQUIRED_KYC_DOCUMENTS = process.env.KYC_REQUIRED_DOCUMENTS
+    ? process.env.KYC_REQUIRED_DOCUMENTS.split(',').map(t => t.trim()).filter(t => KYC_DOCUMENT_TYPES.includes(t))
+    : KYC_DOCUMENT_TYPES;
+
+// One uploaded original in a member's KYC vault
+const KycDocumentSchema = new mongoose.Schema({
+    document_id: {
+        type: String,
+        unique: true
+    },
+    member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        required: true
+    },
+    branch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    doc_type: {
+        type: String,
+        enum: KYC_DOCUMENT_TYPES,
+        required: true
+    },
+    document_number: {
+        type: String,
+        trim: true
+    },
+    filename: {
+        type: String, // Name in the GridFS bucket
+        required: true
+    },
+    original_name: {
+        type: String
+    },
+    content_type: {
+        type: String
+    },
+    size: {
+        type: Number
+    },
+    expiry_date: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ['Pending', 'Verified', 'Rejected'],
+        default: 'Pending'
+    },
+    verified_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    verified_at: {
+        type: Date
+    },
+    rejection_reason: {
+        type: String
+    },
+    // False once a newer document of the same type has been verified
+    active: {
+        type: Boolean,
+        default: true
+    },
+    uploaded_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    }
+}, { timestamps: true });
+
+// Auto-increment document_id
+KycDocumentSchema.pre('save', async function(next) {
+    if (!this.isNew || this.document_id) return next();
+
+    try {
+        this.document_id = await nextId(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+KycDocumentSchema.index({ member_id: 1, doc_type: 1, active: 1 });
+KycDocumentSchema.index({ status: 1, branch_id: 1 });
+
+export default mongoose.model('KycDocument', KycDocumentSchema);
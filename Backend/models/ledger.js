@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
+import { lockFinancialRecord } from "../Utils/financialLock.js";
 
 const LedgerSchema = new mongoose.Schema({
     ledger_id: {
@@ -10,10 +12,14 @@ const LedgerSchema = new mongoose.Schema({
         ref: "Branch",
         required: true,
     },
+    account_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Account",
+        required: true,
+    },
     member_id: {
         type: mongoose.Schema.Types.ObjectId, 
-        ref: "Member",
-        required: true,
+        ref: "Member"
     },
     group_id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -37,10 +43,6 @@ const LedgerSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
-    balance: {
-        type: Number,
-        required: true
-    },
     description: {
         type: String
     },
@@ -53,17 +55,32 @@ const LedgerSchema = new mongoose.Schema({
 LedgerSchema.pre('save', async function (next) {
     if (!this.isNew || this.ledger_id) return next();
     try {
-        const lastLedger = await this.constructor.findOne({}, {}, { sort: { 'ledger_id': -1 } });
-        let newId = 'LGR001';
-        if (lastLedger && lastLedger.ledger_id) {
-            const lastIdNumber = parseInt(lastLedger.ledger_id.replace('LGR', ''), 10);
-            newId = `LGR${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        this.ledger_id = newId;
+        this.ledger_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
     }
 });
 
+// A line is either a debit or a credit, never both
+LedgerSchema.pre('validate', function (next) {
+    if ((this.debit || 0) < 0 || (this.credit || 0) < 0) {
+        return next(new Error('Debit and credit must not be negative'));
+    }
+    if ((this.debit || 0) > 0 && (this.credit || 0) > 0) {
+        return next(new Error('A ledger line cannot carry both a debit and a credit'));
+    }
+    next();
+});
+
+// Posted lines never change; a reversal posts the mirror image instead
+lockFinancialRecord(LedgerSchema, {
+    editable: ['description'],
+    message: 'Ledger entries are immutable, reverse the transaction instead'
+});
+
+LedgerSchema.index({ transaction_id: 1 });
+LedgerSchema.index({ member_id: 1, date: 1 });
+LedgerSchema.index({ branch_id: 1, account_id: 1 });
+
 export default mongoose.model("Ledger", LedgerSchema);
\ No newline at end of file
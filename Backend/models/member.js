@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import bcrypt from "bcryptjs";
+import { nextId } from "../Utils/sequence.js";
 
 const MemberSchema = new mongoose.Schema({
     member_id: {
@@ -59,6 +61,12 @@ const MemberSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    // Member portal login, set by staff
+    password: {
+        type: String,
+        minlength: 6,
+        select: false
+    },
     active: {
         type: Boolean,
         default: true, 
@@ -77,17 +85,27 @@ const MemberSchema = new mongoose.Schema({
 MemberSchema.pre('save', async function (next) {
     if (!this.isNew || this.member_id) return next();
     try {
-        const lastMember = await this.constructor.findOne({}, {}, { sort: { 'member_id': -1 } });
-        let newId = 'MEM001';
-        if (lastMember && lastMember.member_id) {
-            const lastIdNumber = parseInt(lastMember.member_id.replace('MEM', ''), 10);
-            newId = `MEM${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        this.member_id = newId;
+        this.member_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
     }
 });
 
+MemberSchema.pre('save', async function (next) {
+    if (!this.isModified('password') || !this.password) return next();
+    try {
+        const salt = await bcrypt.genSalt(10);
+        this.password = await bcrypt.hash(this.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+MemberSchema.methods.comparePassword = async function (enteredPassword) {
+    if (!this.password) return false;
+    return bcrypt.compare(enteredPassword, this.password);
+};
+
 export default mongoose.model('Member', MemberSchema);
\ No newline at end of file
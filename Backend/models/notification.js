@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
 
 const NotificationSchema = new mongoose.Schema({
     notification_id: {
@@ -77,15 +78,7 @@ NotificationSchema.pre('save', async function (next) {
     if (!this.isNew || this.notification_id) return next();
     
     try {
-        const lastNotification = await this.constructor.findOne({}, {}, { sort: { 'notification_id': -1 } });
-        let newId = 'NOT001';
-        
-        if (lastNotification && lastNotification.notification_id) {
-            const lastIdNumber = parseInt(lastNotification.notification_id.replace('NOT', ''), 10);
-            newId = `NOT${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        
-        this.notification_id = newId;
+        this.notification_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
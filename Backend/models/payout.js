@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
 
 const PayoutSchema = new mongoose.Schema({
     payout_id: {
@@ -27,6 +28,35 @@ const PayoutSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // How payout_amount and processing_fee were worked out
+    breakdown: {
+        chit_amount: Number,
+        discount: Number,
+        discount_source: {
+            type: String,
+            enum: ['Auction', 'Schedule', 'None']
+        },
+        auction_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Auction'
+        },
+        commission_rate: Number,
+        commission: Number,
+        commission_from_discount: Number, // Part of the commission covered by the discount
+        commission_deducted: Number, // Remainder taken from the prize
+        computed_amount: Number,
+        computed_fee: Number,
+        net_amount: Number // What the member receives after the processing fee
+    },
+    // Set when staff replace the computed figures
+    override: {
+        reason: String,
+        overridden_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Employee'
+        },
+        overridden_at: Date
+    },
     status: {
         type: String,
         enum: ['Pending', 'Paid', 'Skipped'],
@@ -46,20 +76,21 @@ PayoutSchema.pre('save', async function(next) {
     if (!this.isNew || this.payout_id) return next();
     
     try {
-        const lastPayout = await this.constructor.findOne({}, {}, { sort: { 'payout_id': -1 } });
-        let newId = 'PYT001'; // Default starting ID
-        
-        if (lastPayout && lastPayout.payout_id) {
-            // Extract the numeric part and increment
-            const lastIdNumber = parseInt(lastPayout.payout_id.replace('PYT', ''), 10);
-            newId = `PYT${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        
-        this.payout_id = newId;
+        this.payout_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
     }
 });
 
+// One payout per member and per month in a group; skipped ones may be replaced
+PayoutSchema.index(
+    { group_id: 1, member_id: 1 },
+    { name: 'group_member_payout', unique: true, partialFilterExpression: { status: { $in: ['Pending', 'Paid'] } } }
+);
+PayoutSchema.index(
+    { group_id: 1, month_number: 1 },
+    { name: 'group_month_payout', unique: true, partialFilterExpression: { status: { $in: ['Pending', 'Paid'] } } }
+);
+
 export default mongoose.model('Payout', PayoutSchema);
\ No newline at end of file
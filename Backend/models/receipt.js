@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { nextId, nextReceiptNo } from "../Utils/sequence.js";
+import { lockFinancialRecord } from "../Utils/financialLock.js";
 
 const ReceiptSchema = new mongoose.Schema({
     receipt_id: {
@@ -46,6 +48,18 @@ const ReceiptSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Transaction'
     },
+    installment_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Installment' // Set when the receipt is for an installment payment
+    },
+    pdf_files: {
+        type: Map,
+        of: String // GridFS name of the printed copy, per status
+    },
+    late_fee_amount: {
+        type: Number,
+        default: 0 // Part of receipt_amount that settled a late fee
+    },
     received_by: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Employee',
@@ -67,32 +81,10 @@ ReceiptSchema.pre('save', async function (next) {
     
     try {
         // Generate receipt_id
-        const lastReceipt = await this.constructor.findOne({}, {}, { sort: { 'receipt_id': -1 } });
-        let newId = 'RCP001';
-        if (lastReceipt && lastReceipt.receipt_id) {
-            const lastIdNumber = parseInt(lastReceipt.receipt_id.replace('RCP', ''), 10);
-            newId = `RCP${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        this.receipt_id = newId;
+        this.receipt_id = await nextId(this);
         
         // Generate receipt_no (branch-year-sequence)
-        const branch = await mongoose.model('Branch').findById(this.branch_id);
-        const branchCode = branch.bname.substring(0, 3).toUpperCase();
-        const year = new Date().getFullYear().toString().slice(-2);
-        
-        const lastReceiptNo = await this.constructor.findOne(
-            { branch_id: this.branch_id },
-            {}, 
-            { sort: { 'receipt_no': -1 } }
-        );
-        
-        let sequence = 1;
-        if (lastReceiptNo && lastReceiptNo.receipt_no) {
-            const lastSeq = parseInt(lastReceiptNo.receipt_no.split('-')[2], 10);
-            sequence = lastSeq + 1;
-        }
-        
-        this.receipt_no = `${branchCode}-${year}-${sequence.toString().padStart(5, '0')}`;
+        this.receipt_no = await nextReceiptNo(this);
         
         next();
     } catch (error) {
@@ -100,4 +92,13 @@ ReceiptSchema.pre('save', async function (next) {
     }
 });
 
+// Completed receipts can only be annotated or cancelled
+lockFinancialRecord(ReceiptSchema, {
+    lockedFilter: { status: { $in: ['Completed', 'Cancelled'] } },
+    isLocked: doc => ['Completed', 'Cancelled'].includes(doc.status),
+    editable: ['remarks', 'pdf_files'],
+    transitions: [{ field: 'status', to: 'Cancelled' }],
+    message: 'Completed receipts are immutable, cancel them instead'
+});
+
 export default mongoose.model("Receipt", ReceiptSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Server-side record of an issued refresh token. Only the hash is stored.
+const RefreshTokenSchema = new mongoose.Schema({
+    token_hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    employee_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    expires_at: {
+        type: Date,
+        required: true
+    },
+    revoked_at: {
+        type: Date
+    },
+    revoked_reason: {
+        type: String
+    },
+    replaced_by: {
+        type: String
+    },
+    created_by_ip: {
+        type: String
+    }
+}, { timestamps: true });
+
+RefreshTokenSchema.index({ employee_id: 1, revoked_at: 1 });
+// Let MongoDB clean up expired tokens
+RefreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+RefreshTokenSchema.virtual('is_active').get(function () {
+    return !this.revoked_at && this.expires_at > new Date();
+});
+
+export default mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+
+// Every permission a route can require, grouped by resource
+export const PERMISSIONS = {
+    'branch:read': 'View branches',
+    'branch:create': 'Create branches',
+    'branch:update': 'Update branches',
+    'branch:delete': 'Deactivate branches',
+    'branch:all': 'Access records of every branch, not just your own',
+
+    'employee:profile': 'View and update your own profile and photo',
+    'employee:read': 'View employees',
+    'employee:create': 'Register employees',
+    'employee:update': 'Update employee details and photos',
+    'employee:delete': 'Delete employees',
+    'employee:assign-role': 'Change employee roles',
+    'employee:revoke-sessions': 'Revoke employee sessions',
+
+    'member:read': 'View members',
+    'member:create': 'Register members',
+    'member:update': 'Update members, status and photos',
+    'member:delete': 'Delete members',
+    'member:set-password': 'Set member portal passwords',
+
+    'scheme:read': 'View schemes',
+    'scheme:create': 'Create schemes',
+    'scheme:update': 'Update schemes and their status',
+    'scheme:delete': 'Delete schemes',
+
+    'group:read': 'View groups',
+    'group:create': 'Create groups',
+    'group:update': 'Update groups',
+    'group:manage-members': 'Add and remove group members',
+    'group:transfer': 'Transfer tickets between members',
+    'group:advance': 'Advance the group month',
+    'group:delete': 'Delete groups',
+    'group:close': 'Close groups and settle their final accounts',
+
+    'installment:read': 'View installments',
+    'installment:create': 'Create installments',
+    'installment:update': 'Update installments',
+    'installment:collect': 'Record installment payments',
+    'installment:waive-late-fee': 'Waive late fees',
+    'installment:write-off': 'Write off unpaid installments',
+    'installment:overdue-sweep': 'Run the overdue sweep',
+
+    'receipt:read': 'View receipts',
+    'receipt:create': 'Issue receipts',
+    'receipt:update': 'Update receipts',
+    'receipt:cancel': 'Cancel receipts',
+
+    'transaction:read': 'View transactions',
+    'transaction:create': 'Create transactions',
+    'transaction:update': 'Update transactions',
+    'transaction:reverse': 'Reverse transactions',
+
+    'ledger:read': 'View ledger entries',
+    'ledger:post': 'Post journal entries',
+    'ledger:update': 'Update ledger entries',
+    'ledger:reports': 'View trial balance and ledger stats',
+
+    'account:read': 'View the chart of accounts',
+    'account:manage': 'Create and update accounts',
+
+    'auction:read': 'View auctions',
+    'auction:open': 'Open auctions',
+    'auction:bid': 'Place bids for members',
+    'auction:close': 'Close auctions',
+    'auction:cancel': 'Cancel auctions',
+
+    'dividend:read': 'View dividends',
+
+    'payout:read': 'View payouts',
+    'payout:create': 'Create payouts',
+    'payout:process': 'Process payouts',
+    'payout:override': 'Override computed payout amounts',
+    'payout:skip': 'Skip payouts',
+    'payout:reports': 'View payout stats',
+
+    'guarantor:read': 'View guarantors and their documents',
+    'guarantor:create': 'Register guarantors',
+    'guarantor:update': 'Update guarantors and upload their documents',
+    'guarantor:verify': 'Verify and reject guarantors',
+
+    'kyc:read': 'View member KYC documents and the KYC report',
+    'kyc:upload': 'Upload member KYC documents',
+    'kyc:verify': 'Verify and reject member KYC documents',
+
+    'booking:read': 'View bookings',
+    'booking:create': 'Create bookings',
+    'booking:approve': 'Confirm and reject bookings',
+    'booking:reports': 'View booking stats',
+
+    'notification:read': 'View notifications',
+    'notification:create': 'Send notifications',
+    'notification:reports': 'View notification stats',
+
+    'job:read': 'View scheduled jobs and runs',
+    'job:run': 'Trigger scheduled jobs',
+
+    'role:read': 'View roles and permissions',
+    'role:manage': 'Change role permissions',
+
+    'audit:read': 'View the audit trail'
+};
+
+// Basic access shared by every role
+const EMPLOYEE_PERMISSIONS = [
+    'branch:read',
+    'employee:profile',
+    'member:read',
+    'scheme:read',
+    'group:read',
+    'installment:read',
+    'receipt:read',
+    'transaction:read',
+    'ledger:read',
+    'account:read',
+    'auction:read', 'auction:bid',
+    'dividend:read',
+    'payout:read',
+    'guarantor:read', 'guarantor:create', 'guarantor:update',
+    'kyc:read', 'kyc:upload',
+    'booking:read', 'booking:create',
+    'notification:read', 'notification:create'
+];
+
+// Seed mapping; Admins can change Manager and Employee afterwards
+export const DEFAULT_ROLE_PERMISSIONS = {
+    Admin: ['*'],
+    Manager: [
+        ...EMPLOYEE_PERMISSIONS,
+        'employee:read', 'employee:update', 'employee:assign-role',
+        'member:create', 'member:update', 'member:delete', 'member:set-password',
+        'scheme:update',
+        'group:*',
+        'installment:*',
+        'receipt:*',
+        'transaction:*',
+        'ledger:*',
+        'auction:*',
+        'payout:*',
+        'guarantor:*',
+        'kyc:*',
+        'booking:*',
+        'notification:*',
+        'job:read'
+    ],
+    Employee: EMPLOYEE_PERMISSIONS
+};
+
+// Accepts exact keys, `resource:*` and the `*` wildcard
+export const isValidPermission = (permission) => {
+    if (permission === '*') return true;
+    if (permission.endsWith(':*')) {
+        const resource = permission.slice(0, -1);
+        return Object.keys(PERMISSIONS).some(key => key.startsWith(resource));
+    }
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+};
+
+const RoleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: ['Admin', 'Manager', 'Employee'],
+        required: true,
+        unique: true
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (permissions) => permissions.every(isValidPermission),
+            message: props => `Unknown permission in ${props.value.join(', ')}`
+        }
+    },
+    description: {
+        type: String
+    },
+    // Defaults already handed to this role, so ensureDefaults only adds new ones
+    defaults_granted: {
+        type: [String],
+        default: []
+    },
+    updated_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    }
+}, { timestamps: true });
+
+// Create any role mappings that are missing and grant existing roles the
+// defaults added since they were last synced. A default an Admin revoked
+// afterwards stays revoked; roles seeded before defaults_granted existed
+// receive every default once.
+RoleSchema.statics.ensureDefaults = async function () {
+    const existing = new Map((await this.find().select('name defaults_granted')).map(r => [r.name, r]));
+
+    const writes = Object.entries(DEFAULT_ROLE_PERMISSIONS).flatMap(([name, permissions]) => {
+        const role = existing.get(name);
+        if (!role) {
+            return [{
+                updateOne: {
+                    filter: { name },
+                    update: { $setOnInsert: { name, permissions, defaults_granted: permissions } },
+                    upsert: true
+                }
+            }];
+        }
+
+        const added = permissions.filter(p => !role.defaults_granted.includes(p));
+        if (added.length === 0) return [];
+
+        return [{
+            updateOne: {
+                filter: { name },
+                update: { $addToSet: { permissions: { $each: added }, defaults_granted: { $each: added } } }
+            }
+        }];
+    });
+
+    if (writes.length > 0) await this.bulkWrite(writes);
+};
+
+export default mongoose.model("Role", RoleSchema);
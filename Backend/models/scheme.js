@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
 
 const SchemeSchema = new mongoose.Schema({
     scheme_id: {
@@ -38,6 +39,77 @@ const SchemeSchema = new mongoose.Schema({
         enum: ['Monthly', 'Weekly', 'Biweekly'],
         default: 'Monthly'
     },
+    late_fee_policy: {
+        grace_period_days: {
+            type: Number,
+            min: 0,
+            default: 5
+        },
+        fee_type: {
+            type: String,
+            enum: ['Flat', 'Percentage'],
+            default: 'Percentage'
+        },
+        // Flat amount, or percentage of the installment amount
+        rate: {
+            type: Number,
+            min: 0,
+            default: 2
+        },
+        frequency: {
+            type: String,
+            enum: ['PerDay', 'PerMonth', 'OneTime'],
+            default: 'PerMonth'
+        },
+        max_fee: {
+            type: Number,
+            min: 0
+        }
+    },
+    // Fee kept back when a payout is paid out
+    processing_fee_policy: {
+        fee_type: {
+            type: String,
+            enum: ['Flat', 'Percentage'],
+            default: 'Flat'
+        },
+        // Flat amount, or percentage of the payout amount
+        rate: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        max_fee: {
+            type: Number,
+            min: 0
+        }
+    },
+    // Fixed discount per month, for months paid out on a schedule instead of by auction
+    payout_schedule: [{
+        month_number: {
+            type: Number,
+            min: 1,
+            required: true
+        },
+        discount: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    }],
+    // Verified guarantors a prized member needs while installments are still owed
+    guarantor_policy: {
+        min_guarantors: {
+            type: Number,
+            min: 0,
+            default: 1
+        },
+        // One more guarantor for every this much outstanding; unset means min_guarantors always
+        liability_per_guarantor: {
+            type: Number,
+            min: 0
+        }
+    },
     enabled: {
         type: Boolean,
         default: true,
@@ -55,13 +127,7 @@ const SchemeSchema = new mongoose.Schema({
 SchemeSchema.pre('save', async function (next) {
     if (!this.isNew || this.scheme_id) return next();
     try {
-        const lastScheme = await this.constructor.findOne({}, {}, { sort: { 'scheme_id': -1 } });
-        let newId = 'SCH001';
-        if (lastScheme && lastScheme.scheme_id) {
-            const lastIdNumber = parseInt(lastScheme.scheme_id.replace('SCH', ''), 10);
-            newId = `SCH${String(lastIdNumber + 1).padStart(3, '0')}`;
-        }
-        this.scheme_id = newId;
+        this.scheme_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
@@ -0,0 +1,149 @@
+import mongoose from 'mongoose';
+import { nextId } from '../Utils/sequence.js';
+import { lockFinancialRecord } from '../Utils/financialLock.js';
+
+// A group slot (ticket) handed from one member to another mid-term
+const TicketTransferSchema = new mongoose.Schema({
+    transfer_id: {
+        type: String,
+        unique: true
+    },
+    group_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Group',
+        required: true
+    },
+    branch_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    payout_month: {
+        type: Number,
+        required: true
+    },
+    from_member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        required: true
+    },
+    to_member_id: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Member',
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['Withdrawal', 'Default', 'Death', 'Other'],
+        default: 'Withdrawal'
+    },
+    remarks: {
+        type: String
+    },
+    group_month: {
+        type: Number // Group month the transfer took effect in
+    },
+    original_join_date: {
+        type: Date
+    },
+    payout_received: {
+        type: Boolean,
+        default: false
+    },
+    // What the outgoing member had on the ticket when it moved
+    installments: [{
+        installment_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Installment'
+        },
+        installment_number: Number,
+        amount: Number,
+        paid_amount: Number,
+        pending_amount: Number,
+        status: String
+    }],
+    dividends_moved: {
+        type: Number,
+        default: 0
+    },
+    paid_amount: {
+        type: Number,
+        default: 0
+    },
+    outstanding_amount: {
+        type: Number,
+        default: 0
+    },
+    // Refund to the outgoing member; the fee is kept as income
+    settlement: {
+        amount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        fee: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        payment_mode: {
+            type: String,
+            enum: ['Cash', 'Cheque', 'Online', 'Bank Transfer']
+        },
+        reference_id: String,
+        transaction_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction'
+        }
+    },
+    // Paid in by the incoming member for the installments they take over as paid
+    arrears: {
+        amount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        payment_mode: {
+            type: String,
+            enum: ['Cash', 'Cheque', 'Online', 'Bank Transfer']
+        },
+        reference_id: String,
+        transaction_id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Transaction'
+        }
+    },
+    transferred_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee',
+        required: true
+    },
+    transfer_date: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+// Auto-increment transfer_id
+TicketTransferSchema.pre('save', async function(next) {
+    if (!this.isNew || this.transfer_id) return next();
+
+    try {
+        this.transfer_id = await nextId(this);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// The record documents a completed transfer; only the remarks can be amended
+lockFinancialRecord(TicketTransferSchema, {
+    editable: ['remarks'],
+    message: 'Ticket transfers are immutable'
+});
+
+TicketTransferSchema.index({ group_id: 1, payout_month: 1 });
+TicketTransferSchema.index({ from_member_id: 1 });
+TicketTransferSchema.index({ to_member_id: 1 });
+
+export default mongoose.model('TicketTransfer', TicketTransferSchema);
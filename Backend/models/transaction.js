@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { nextId } from "../Utils/sequence.js";
+import { lockFinancialRecord } from "../Utils/financialLock.js";
 
 const TransactionSchema = new mongoose.Schema({
     transaction_id: {
@@ -34,16 +36,15 @@ const TransactionSchema = new mongoose.Schema({
     amount: {
         type: Number,
         required: true,
-        min: 0.01,
         validate: {
             validator: function(v) {
-                // For withdrawals and deposits, amount should be positive
-                if (['Withdrawal', 'Deposit'].includes(this.transaction_type)) {
-                    return v > 0;
+                // Reversals carry the negated amount of the original
+                if (this.is_reversal) {
+                    return v !== 0;
                 }
-                return true;
+                return v >= 0.01;
             },
-            message: 'Amount must be positive for withdrawals and deposits'
+            message: 'Amount must be positive'
         }
     },
     transaction_date: {
@@ -88,6 +89,10 @@ const TransactionSchema = new mongoose.Schema({
     related_transaction: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Transaction'
+    },
+    is_reversal: {
+        type: Boolean,
+        default: false
     }
 }, { 
     timestamps: true,
@@ -110,23 +115,7 @@ TransactionSchema.pre('save', async function (next) {
     if (!this.isNew || this.transaction_id) return next();
     
     try {
-        const lastTransaction = await this.constructor.findOne({}, {}, { sort: { 'transaction_id': -1 } });
-        const yearSuffix = new Date().getFullYear().toString().slice(-2);
-        let newId = `TXN${yearSuffix}001`;
-        
-        if (lastTransaction && lastTransaction.transaction_id) {
-            const lastIdPrefix = lastTransaction.transaction_id.slice(0, 5);
-            const lastIdNumber = parseInt(lastTransaction.transaction_id.slice(5), 10);
-            
-            // Reset counter if year changed
-            if (lastIdPrefix !== `TXN${yearSuffix}`) {
-                newId = `TXN${yearSuffix}001`;
-            } else {
-                newId = `TXN${yearSuffix}${String(lastIdNumber + 1).padStart(3, '0')}`;
-            }
-        }
-        
-        this.transaction_id = newId;
+        this.transaction_id = await nextId(this);
         next();
     } catch (error) {
         next(error);
@@ -141,6 +130,15 @@ TransactionSchema.pre('save', function(next) {
     next();
 });
 
+// Completed and reversed transactions are final; corrections go through a reversal
+lockFinancialRecord(TransactionSchema, {
+    lockedFilter: { status: { $in: ['Completed', 'Reversed'] } },
+    isLocked: doc => ['Completed', 'Reversed'].includes(doc.status),
+    editable: ['description'],
+    transitions: [{ field: 'status', to: 'Reversed', allow: ['related_transaction'] }],
+    message: 'Completed transactions are immutable, reverse them instead'
+});
+
 // ... rest of your schema code ...
 
 // Indexes for better query performance (remove transaction_id index)
@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getAccounts,
+  createAccount,
+  updateAccount
+} from '../controller/account.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.post('/', protect, requirePermission('account:manage'), createAccount);
+router.put('/:id', protect, requirePermission('account:manage'), updateAccount);
+router.get('/', protect, requirePermission('account:read'), getAccounts);
+
+export default router;
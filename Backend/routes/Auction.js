@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  openAuction,
+  getAuctions,
+  getAuctionById,
+  placeBid,
+  closeAuction,
+  cancelAuction
+} from '../controller/auction.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.post('/', protect, requirePermission('auction:open'), openAuction);
+router.post('/:id/close', protect, requirePermission('auction:close'), closeAuction);
+router.post('/:id/cancel', protect, requirePermission('auction:cancel'), cancelAuction);
+
+router.get('/', protect, requirePermission('auction:read'), getAuctions);
+router.get('/:id', protect, requirePermission('auction:read'), getAuctionById);
+router.post('/:id/bids', protect, requirePermission('auction:bid'), placeBid);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import {
+  getAuditLogs,
+  getAuditLogById
+} from '../controller/auditLog.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes
+router.use(protect);
+
+router.get('/', requirePermission('audit:read'), getAuditLogs);
+router.get('/:id', requirePermission('audit:read'), getAuditLogById);
+
+export default router;
@@ -8,36 +8,30 @@ import {
   getBookingStats,
   getMemberBookings
 } from '../controller/booking.controller.js';
-import { protect, manager } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Public routes (if any)
-
 // Protected routes
 router.use(protect);
 
-// Basic employee routes
 router.route('/')
-  .get(getBookings)
-  .post(createBooking);
+  .get(requirePermission('booking:read'), getBookings)
+  .post(requirePermission('booking:create'), createBooking);
+
+router.route('/stats')
+  .get(requirePermission('booking:reports'), getBookingStats);
 
 router.route('/:id')
-  .get(getBookingById);
+  .get(requirePermission('booking:read'), getBookingById);
 
 router.route('/:id/confirm')
-  .post(confirmBooking);
+  .post(requirePermission('booking:approve'), confirmBooking);
 
 router.route('/:id/reject')
-  .post(rejectBooking);
+  .post(requirePermission('booking:approve'), rejectBooking);
 
 router.route('/members/:member_id/bookings')
-  .get(getMemberBookings);
-
-// Manager/admin only routes
-router.use(manager);
-
-router.route('/stats')
-  .get(getBookingStats);
+  .get(requirePermission('booking:read'), getMemberBookings);
 
 export default router;
\ No newline at end of file
@@ -6,30 +6,39 @@ import {
     updateBranch,
     deleteBranch,
     getBranchesByStatus,
-    searchBranches  // Add this import
+    searchBranches,  // Add this import
+    getBranchTree,
+    moveBranch
 } from "../controller/branch.controller.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // Create a new branch
-router.post("/", createBranch);
+router.post("/", protect, requirePermission("branch:create"), createBranch);
 
 // Get all branches
-router.get("/", getBranches);
+router.get("/", protect, requirePermission("branch:read"), getBranches);
 
 // Search branches
-router.get("/search", searchBranches);  // Add this route
+router.get("/search", protect, requirePermission("branch:read"), searchBranches);  // Add this route
+
+// Get the branch hierarchy
+router.get("/tree", protect, requirePermission("branch:read"), getBranchTree);
 
 // Get branches by status
-router.get("/status/:status", getBranchesByStatus);
+router.get("/status/:status", protect, requirePermission("branch:read"), getBranchesByStatus);
 
 // Get a single branch by ID
-router.get("/:id", getBranchById);
+router.get("/:id", protect, requirePermission("branch:read"), getBranchById);
 
 // Update a branch
-router.put("/:id", updateBranch);
+router.put("/:id", protect, requirePermission("branch:update"), updateBranch);
+
+// Move a branch under a new parent
+router.put("/:id/move", protect, requirePermission("branch:update"), moveBranch);
 
 // Delete a branch (soft delete)
-router.delete("/:id", deleteBranch);
+router.delete("/:id", protect, requirePermission("branch:delete"), deleteBranch);
 
 export default router;
\ No newline at end of file
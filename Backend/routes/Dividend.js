@@ -0,0 +1,13 @@
+import express from 'express';
+import {
+  getDividends,
+  getMemberDividends
+} from '../controller/dividend.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, requirePermission('dividend:read'), getDividends);
+router.get('/members/:member_id/dividends', protect, requirePermission('dividend:read'), getMemberDividends);
+
+export default router;
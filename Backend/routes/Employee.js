@@ -12,39 +12,43 @@ import {
   getEmployeeProfile,
   updateEmployeeProfile,
   uploadEmployeePhoto,
-  getEmployeePhoto
+  getEmployeePhoto,
+  refreshEmployeeToken,
+  logoutEmployee,
+  revokeEmployeeSessions
 } from "../controller/employee.controller.js";
-import { protect, admin, manager, employee, sameBranchOrAdmin } from "../middleware/authMiddleware.js";
+import { protect, requirePermission, requirePermissionOrSelf } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // Public routes
 router.post("/login", authEmployee);
+router.post("/refresh", refreshEmployeeToken);
+router.post("/logout", logoutEmployee);
 
-// Admin-only routes
-router.post("/register", registerEmployee);
-router.delete("/:id", protect, admin, deleteEmployee);
+router.post("/register", protect, requirePermission("employee:create"), registerEmployee);
+router.delete("/:id", protect, requirePermission("employee:delete"), deleteEmployee);
+router.post("/:id/revoke-sessions", protect, requirePermission("employee:revoke-sessions"), revokeEmployeeSessions);
 
-// Manager+ routes
-router.get("/branch/:branchId", protect, manager, getEmployeesByBranch);
-router.put("/:id/role", protect, manager, updateEmployeeRole);
+router.get("/branch/:branchId", protect, requirePermission("employee:read"), getEmployeesByBranch);
+router.put("/:id/role", protect, requirePermission("employee:assign-role"), updateEmployeeRole);
 
-// Employee+ routes (all authenticated employees)
-router.get("/profile", protect, employee, getEmployeeProfile);
-router.put("/profile", protect, employee, updateEmployeeProfile);
+// Own profile
+router.get("/profile", protect, requirePermission("employee:profile"), getEmployeeProfile);
+router.put("/profile", protect, requirePermission("employee:profile"), updateEmployeeProfile);
 
-// Protected routes with different access levels
 router.route("/")
-  .get(protect, manager, getEmployees)
-  .post(protect, admin, registerEmployee);
+  .get(protect, requirePermission("employee:read"), getEmployees)
+  .post(protect, requirePermission("employee:create"), registerEmployee);
 
 router.route("/search")
-  .get(protect, manager, searchEmployees);
+  .get(protect, requirePermission("employee:read"), searchEmployees);
 
+// Own record with employee:profile, anyone else's with employee:read/update
 router.route("/:id")
-  .get(protect, employee, getEmployeeById)
-  .put(protect, employee, updateEmployee);  // Employees can update their own profile
+  .get(protect, requirePermissionOrSelf("employee:read", "employee:profile"), getEmployeeById)
+  .put(protect, requirePermissionOrSelf("employee:update", "employee:profile"), updateEmployee);
 
-  router.put('/:id/photo', uploadEmployeePhoto);
-  router.get('/:id/photo', getEmployeePhoto);
+  router.put('/:id/photo', protect, requirePermissionOrSelf("employee:update", "employee:profile"), uploadEmployeePhoto);
+  router.get('/:id/photo', protect, requirePermissionOrSelf("employee:read", "employee:profile"), getEmployeePhoto);
 export default router;
\ No newline at end of file
@@ -6,23 +6,29 @@ import {
   updateGroup,
   addGroupMember,
   removeGroupMember,
+  transferGroupMember,
+  getGroupTransfers,
   advanceGroupMonth,
+  closeGroup,
+  getGroupClosure,
   deleteGroup
 } from "../controller/group.controller.js";
-import { protect, manager } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Manager+ routes
-router.post("/", protect, manager, createGroup);
-router.post("/:id/members", protect, manager, addGroupMember);
-router.delete("/:id/members/:memberId", protect, manager, removeGroupMember);
-router.post("/:id/advance", protect, manager, advanceGroupMonth);
-router.delete("/:id", protect, manager, deleteGroup);
+router.post("/", protect, requirePermission("group:create"), createGroup);
+router.post("/:id/members", protect, requirePermission("group:manage-members"), addGroupMember);
+router.delete("/:id/members/:memberId", protect, requirePermission("group:manage-members"), removeGroupMember);
+router.post("/:id/members/:memberId/transfer", protect, requirePermission("group:transfer"), transferGroupMember);
+router.post("/:id/advance", protect, requirePermission("group:advance"), advanceGroupMonth);
+router.post("/:id/close", protect, requirePermission("group:close"), closeGroup);
+router.delete("/:id", protect, requirePermission("group:delete"), deleteGroup);
 
-// Protected routes
-router.get("/", protect, getGroups);
-router.get("/:id", protect, getGroupById);
-router.put("/:id", protect, manager, updateGroup);
+router.get("/", protect, requirePermission("group:read"), getGroups);
+router.get("/:id", protect, requirePermission("group:read"), getGroupById);
+router.get("/:id/transfers", protect, requirePermission("group:read"), getGroupTransfers);
+router.get("/:id/closure", protect, requirePermission("group:read"), getGroupClosure);
+router.put("/:id", protect, requirePermission("group:update"), updateGroup);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  createGuarantor,
+  getGuarantors,
+  getGuarantorById,
+  updateGuarantor,
+  verifyGuarantor,
+  uploadGuarantorDocument,
+  getGuarantorDocument,
+  deleteGuarantorDocument
+} from '../controller/guarantor.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes
+router.use(protect);
+
+router.route('/')
+  .get(requirePermission('guarantor:read'), getGuarantors)
+  .post(requirePermission('guarantor:create'), createGuarantor);
+
+router.route('/:id')
+  .get(requirePermission('guarantor:read'), getGuarantorById)
+  .put(requirePermission('guarantor:update'), updateGuarantor);
+
+router.route('/:id/verify')
+  .post(requirePermission('guarantor:verify'), verifyGuarantor);
+
+router.route('/:id/documents')
+  .post(requirePermission('guarantor:update'), uploadGuarantorDocument);
+
+router.route('/:id/documents/:filename')
+  .get(requirePermission('guarantor:read'), getGuarantorDocument)
+  .delete(requirePermission('guarantor:update'), deleteGuarantorDocument);
+
+export default router;
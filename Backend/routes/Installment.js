@@ -5,20 +5,26 @@ import {
   getInstallmentById,
   recordPayment,
   updateInstallment,
-  getInstallmentStats
+  getInstallmentStats,
+  waiveLateFee,
+  writeOffInstallment,
+  runOverdueSweep,
+  getInstallmentStatsRollup
 } from "../controller/installment.controller.js";
-import { protect, manager } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Manager+ routes
-router.post("/", protect, manager, createInstallment);
-router.post("/:id/pay", protect, manager, recordPayment);
+router.post("/", protect, requirePermission("installment:create"), createInstallment);
+router.post("/:id/pay", protect, requirePermission("installment:collect"), recordPayment);
+router.post("/:id/waive-late-fee", protect, requirePermission("installment:waive-late-fee"), waiveLateFee);
+router.post("/:id/write-off", protect, requirePermission("installment:write-off"), writeOffInstallment);
+router.post("/overdue-sweep", protect, requirePermission("installment:overdue-sweep"), runOverdueSweep);
 
-// Protected routes
-router.get("/", protect, getInstallments);
-router.get("/stats", protect, getInstallmentStats);
-router.get("/:id", protect, getInstallmentById);
-router.put("/:id", protect, manager, updateInstallment);
+router.get("/", protect, requirePermission("installment:read"), getInstallments);
+router.get("/stats", protect, requirePermission("installment:read"), getInstallmentStats);
+router.get("/stats/rollup", protect, requirePermission("installment:read"), getInstallmentStatsRollup);
+router.get("/:id", protect, requirePermission("installment:read"), getInstallmentById);
+router.put("/:id", protect, requirePermission("installment:update"), updateInstallment);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import express from 'express';
+import {
+  getJobs,
+  getJobRuns,
+  triggerJob
+} from '../controller/job.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.get('/', protect, requirePermission('job:read'), getJobs);
+router.get('/runs', protect, requirePermission('job:read'), getJobRuns);
+router.post('/:name/run', protect, requirePermission('job:run'), triggerJob);
+
+export default router;
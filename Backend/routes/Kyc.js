@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  getMemberKyc,
+  uploadKycDocument,
+  getKycDocuments,
+  getKycDocumentFile,
+  verifyKycDocument,
+  getKycReport
+} from '../controller/kyc.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes
+router.use(protect);
+
+router.route('/report')
+  .get(requirePermission('kyc:read'), getKycReport);
+
+router.route('/documents')
+  .get(requirePermission('kyc:read'), getKycDocuments);
+
+router.route('/documents/:id/file')
+  .get(requirePermission('kyc:read'), getKycDocumentFile);
+
+router.route('/documents/:id/verify')
+  .post(requirePermission('kyc:verify'), verifyKycDocument);
+
+router.route('/members/:member_id')
+  .get(requirePermission('kyc:read'), getMemberKyc);
+
+router.route('/members/:member_id/documents')
+  .post(requirePermission('kyc:upload'), uploadKycDocument);
+
+export default router;
@@ -4,25 +4,25 @@ import {
   getLedgerEntries,
   getLedgerEntryById,
   getMemberLedger,
+  getMemberStatement,
   updateLedgerEntry,
-  getLedgerStats
+  getLedgerStats,
+  getTrialBalance
 } from '../controller/ledger.controller.js';
-import { protect, manager } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Protected routes
 router.use(protect);
 
-// Basic employee routes
-router.get('/',protect, getLedgerEntries);
-router.post('/', createLedgerEntry);
-router.get('/:id', getLedgerEntryById);
-router.put('/:id', updateLedgerEntry);
-router.get('/members/:member_id/ledger', getMemberLedger);
-
-// Manager/admin only routes
-router.use(manager);
-router.get('/stats', getLedgerStats);
+router.get('/', requirePermission('ledger:read'), getLedgerEntries);
+router.post('/', requirePermission('ledger:post'), createLedgerEntry);
+router.get('/trial-balance', requirePermission('ledger:reports'), getTrialBalance);
+router.get('/stats', requirePermission('ledger:reports'), getLedgerStats);
+router.get('/:id', requirePermission('ledger:read'), getLedgerEntryById);
+router.put('/:id', requirePermission('ledger:update'), updateLedgerEntry);
+router.get('/members/:member_id/ledger', requirePermission('ledger:read'), getMemberLedger);
+router.get('/members/:member_id/statement', requirePermission('ledger:read'), getMemberStatement);
 
 export default router;
\ No newline at end of file
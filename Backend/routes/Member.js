@@ -8,22 +8,26 @@ import {
   getMemberStats,
   deleteMember,
   uploadMemberPhoto,
-  getMemberPhoto
+  getMemberPhoto,
+  setMemberPassword,
+  importMembersFromFile
 } from "../controller/member.controller.js";
-import { protect, manager } from "../middleware/authMiddleware.js";
+import { getUpcomingInstallments } from "../controller/installment.controller.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Manager+ routes
-router.post("/", protect, manager, registerMember);
-router.delete("/:id", protect, manager, deleteMember);
+router.post("/", protect, requirePermission("member:create"), registerMember);
+router.post("/import", protect, requirePermission("member:create"), importMembersFromFile);
+router.delete("/:id", protect, requirePermission("member:delete"), deleteMember);
 
-// Protected routes
-router.get("/", protect, getMembers);
-router.get("/stats", protect, getMemberStats);
-router.get("/:id", protect, getMemberById);
-router.put("/:id", protect, manager, updateMember);
-router.patch("/:id/status", protect, manager, toggleMemberStatus);
-router.put('/:id/photo', uploadMemberPhoto);
-router.get('/:id/photo', getMemberPhoto);
+router.get("/", protect, requirePermission("member:read"), getMembers);
+router.get("/stats", protect, requirePermission("member:read"), getMemberStats);
+router.get("/:id", protect, requirePermission("member:read"), getMemberById);
+router.put("/:id", protect, requirePermission("member:update"), updateMember);
+router.patch("/:id/status", protect, requirePermission("member:update"), toggleMemberStatus);
+router.put("/:id/password", protect, requirePermission("member:set-password"), setMemberPassword);
+router.get("/:member_id/installments/upcoming", protect, requirePermission("installment:read"), getUpcomingInstallments);
+router.put('/:id/photo', protect, requirePermission("member:update"), uploadMemberPhoto);
+router.get('/:id/photo', protect, requirePermission("member:read"), getMemberPhoto);
 export default router;
\ No newline at end of file
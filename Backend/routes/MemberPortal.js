@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  asSelf,
+  memberLogin,
+  getMyProfile,
+  changeMyPassword,
+  getMyGroups,
+  getMyReceipts,
+  getMyNotifications,
+  markMyNotificationRead
+} from '../controller/memberPortal.controller.js';
+import { getUpcomingInstallments } from '../controller/installment.controller.js';
+import { getMemberLedger, getMemberStatement } from '../controller/ledger.controller.js';
+import { getMemberPayouts } from '../controller/payout.controller.js';
+import { createBooking, getMemberBookings } from '../controller/booking.controller.js';
+import { getMemberDividends } from '../controller/dividend.controller.js';
+import { protectMember } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.post('/login', memberLogin);
+
+// Member routes
+router.use(protectMember);
+
+router.get('/me', getMyProfile);
+router.put('/me/password', changeMyPassword);
+router.get('/groups', getMyGroups);
+router.get('/receipts', getMyReceipts);
+router.get('/notifications', getMyNotifications);
+router.patch('/notifications/:id/read', markMyNotificationRead);
+
+// Shared staff handlers, scoped to the logged-in member
+router.get('/installments/upcoming', asSelf, getUpcomingInstallments);
+router.get('/ledger', asSelf, getMemberLedger);
+router.get('/statement', asSelf, getMemberStatement);
+router.get('/payouts', asSelf, getMemberPayouts);
+router.get('/dividends', asSelf, getMemberDividends);
+router.route('/bookings')
+  .get(asSelf, getMemberBookings)
+  .post(asSelf, createBooking);
+
+export default router;
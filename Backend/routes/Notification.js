@@ -8,36 +8,30 @@ import {
   getMyNotifications,
   getNotificationStats
 } from '../controller/notification.controller.js';
-import { protect, manager } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Public routes (if any)
-
 // Protected routes
 router.use(protect);
 
-// Basic employee routes
 router.route('/')
-  .get(getNotifications)
-  .post(createNotification);
+  .get(requirePermission('notification:read'), getNotifications)
+  .post(requirePermission('notification:create'), createNotification);
 
 router.route('/my')
-  .get(getMyNotifications);
+  .get(requirePermission('notification:read'), getMyNotifications);
 
 router.route('/unread/count')
-  .get(getUnreadCount);
+  .get(requirePermission('notification:read'), getUnreadCount);
+
+router.route('/stats')
+  .get(requirePermission('notification:reports'), getNotificationStats);
 
 router.route('/:id')
-  .get(getNotificationById);
+  .get(requirePermission('notification:read'), getNotificationById);
 
 router.route('/:id/read')
-  .patch(markAsRead);
-
-// Manager/admin only routes
-router.use(manager);
-
-router.route('/stats')
-  .get(getNotificationStats);
+  .patch(requirePermission('notification:read'), markAsRead);
 
 export default router;
\ No newline at end of file
@@ -6,38 +6,36 @@ import {
   processPayout,
   skipPayout,
   getPayoutStats,
-  getMemberPayouts
+  getMemberPayouts,
+  getPayoutGuarantors
 } from '../controller/payout.controller.js';
-import { protect, manager } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Public routes (if any)
-
 // Protected routes
 router.use(protect);
 
-// Basic employee routes
 router.route('/')
-  .get(getPayouts)
-  .post(createPayout);
+  .get(requirePermission('payout:read'), getPayouts)
+  .post(requirePermission('payout:create'), createPayout);
+
+router.route('/stats')
+  .get(requirePermission('payout:reports'), getPayoutStats);
 
 router.route('/:id')
-  .get(getPayoutById);
+  .get(requirePermission('payout:read'), getPayoutById);
+
+router.route('/:id/guarantors')
+  .get(requirePermission('payout:read'), getPayoutGuarantors);
 
 router.route('/:id/process')
-  .post(processPayout);
+  .post(requirePermission('payout:process'), processPayout);
 
 router.route('/:id/skip')
-  .post(skipPayout);
+  .post(requirePermission('payout:skip'), skipPayout);
 
 router.route('/members/:member_id/payouts')
-  .get(getMemberPayouts);
-
-// Manager/admin only routes
-router.use(manager);
-
-router.route('/stats')
-  .get(getPayoutStats);
+  .get(requirePermission('payout:read'), getMemberPayouts);
 
 export default router;
\ No newline at end of file
@@ -5,20 +5,22 @@ import {
   getReceiptById,
   updateReceipt,
   cancelReceipt,
-  getReceiptStats
+  getReceiptStats,
+  getReceiptStatsRollup,
+  downloadReceiptPdf
 } from "../controller/receipt.controller.js";
-import { protect, manager } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Manager+ routes
-router.post("/", protect, manager, createReceipt);
-router.patch("/:id/cancel", protect, manager, cancelReceipt);
+router.post("/", protect, requirePermission("receipt:create"), createReceipt);
+router.patch("/:id/cancel", protect, requirePermission("receipt:cancel"), cancelReceipt);
 
-// Protected routes
-router.get("/", protect, getReceipts);
-router.get("/stats", protect, getReceiptStats);
-router.get("/:id", protect, getReceiptById);
-router.put("/:id", protect, manager, updateReceipt);
+router.get("/", protect, requirePermission("receipt:read"), getReceipts);
+router.get("/stats", protect, requirePermission("receipt:read"), getReceiptStats);
+router.get("/stats/rollup", protect, requirePermission("receipt:read"), getReceiptStatsRollup);
+router.get("/:id", protect, requirePermission("receipt:read"), getReceiptById);
+router.get("/:id/pdf", protect, requirePermission("receipt:read"), downloadReceiptPdf);
+router.put("/:id", protect, requirePermission("receipt:update"), updateReceipt);
 
 export default router;
\ No newline at end of file
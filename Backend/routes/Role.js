@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getRoles,
+  getPermissions,
+  getMyPermissions,
+  updateRolePermissions
+} from '../controller/role.controller.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes
+router.use(protect);
+
+router.get('/me', getMyPermissions);
+router.get('/', requirePermission('role:read'), getRoles);
+router.get('/permissions', requirePermission('role:read'), getPermissions);
+router.put('/:name', requirePermission('role:manage'), updateRolePermissions);
+
+export default router;
@@ -8,16 +8,16 @@ import {
   getSchemeStats,
   deleteScheme
 } from "../controller/scheme.controller.js";
-import { protect, admin, manager } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-router.post("/", protect, admin, createScheme);
-router.get("/", protect, getSchemes);
-router.get("/stats", protect, getSchemeStats);
-router.get("/:id", protect, getSchemeById);
-router.put("/:id", protect, manager, updateScheme);
-router.patch("/:id/status", protect, manager, toggleSchemeStatus);
-router.delete("/:id", protect, admin, deleteScheme);
+router.post("/", protect, requirePermission("scheme:create"), createScheme);
+router.get("/", protect, requirePermission("scheme:read"), getSchemes);
+router.get("/stats", protect, requirePermission("scheme:read"), getSchemeStats);
+router.get("/:id", protect, requirePermission("scheme:read"), getSchemeById);
+router.put("/:id", protect, requirePermission("scheme:update"), updateScheme);
+router.patch("/:id/status", protect, requirePermission("scheme:update"), toggleSchemeStatus);
+router.delete("/:id", protect, requirePermission("scheme:delete"), deleteScheme);
 
 export default router;
\ No newline at end of file
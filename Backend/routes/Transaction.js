@@ -6,23 +6,23 @@ import {
   updateTransaction,
   reverseTransaction,
   getTransactionSummary,
-  getMemberTransactionSummary
+  getMemberTransactionSummary,
+  getTransactionSummaryRollup
 } from "../controller/transaction.controller.js";
-import { protect, manager } from "../middleware/authMiddleware.js";
+import { protect, requirePermission } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
-// Manager+ routes
-router.post("/", protect, manager, createTransaction);
-router.post("/:id/reverse", protect, manager, reverseTransaction);
+router.post("/", protect, requirePermission("transaction:create"), createTransaction);
+router.post("/:id/reverse", protect, requirePermission("transaction:reverse"), reverseTransaction);
 
-// Protected routes
-router.get("/", protect, getTransactions);
-router.get("/summary", protect, getTransactionSummary);
-router.get("/:id", protect, getTransactionById);
-router.put("/:id", protect, manager, updateTransaction);
+router.get("/", protect, requirePermission("transaction:read"), getTransactions);
+router.get("/summary", protect, requirePermission("transaction:read"), getTransactionSummary);
+router.get("/summary/rollup", protect, requirePermission("transaction:read"), getTransactionSummaryRollup);
+router.get("/:id", protect, requirePermission("transaction:read"), getTransactionById);
+router.put("/:id", protect, requirePermission("transaction:update"), updateTransaction);
 
 // Member-specific route
-router.get("/members/:id/summary", protect, getMemberTransactionSummary);
+router.get("/members/:id/summary", protect, requirePermission("transaction:read"), getMemberTransactionSummary);
 
 export default router;
\ No newline at end of file